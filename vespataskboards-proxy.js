@@ -0,0 +1,466 @@
+// Reference proxy for the VESPA TaskBoard Knack script (VESPA_APPS.taskboards.apiMode = 'proxy').
+//
+// Serves the part of the Knack object records API the script uses:
+//   GET/POST /v1/objects/:object/records   GET/PUT/DELETE /v1/objects/:object/records/:id
+// and either forwards each request to api.knack.com, adding the REST API key on the server, or answers it from an
+// in-memory store for local development and tests. Uses only Node built-ins.
+//
+//   PROXY_TARGET=knack KNACK_APP_ID=... KNACK_API_KEY=... KNACK_USER_VIEW=scene_1/view_2 node vespataskboards-proxy.js
+//   PROXY_TARGET=memory node vespataskboards-proxy.js
+//
+// Other settings: PORT (default 8787), ALLOWED_ORIGINS (comma-separated origins allowed by CORS, e.g. the Knack
+// app's URL), ALLOWED_OBJECTS (comma-separated, read and write, default object_111) and READ_ONLY_OBJECTS
+// (comma-separated, default object_3). Then set VESPA_APPS.taskboards.proxyUrl to 'http://localhost:8787/v1'
+// (or wherever the proxy runs).
+//
+// The API key added by the knack target can read and write every record, so that target only starts with:
+//   KNACK_USER_VIEW  scene/view of a Knack page for logged-in users whose view shows only the user's own account
+//                    record. The user token of each request is checked by reading this view with it.
+//   USER_OBJECT      the accounts object (default object_3); only the user's own record can be read.
+//   OWNER_FIELDS     object:field pairs (comma-separated, default object_111:field_3048) naming the field that holds
+//                    the owning account id of every other allowed object. Records are filtered, checked and created
+//                    with it, so chunk and revision objects need such a field too.
+// The memory target only checks that a token is present; it is for local development and tests.
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const KNACK_API_HOST = 'api.knack.com';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const TOKEN_CACHE_MS = 60 * 1000;
+const TOKEN_CACHE_SIZE = 1000;
+const ROUTE_PATTERN = /^\/v1\/objects\/(object_\d+)\/records(?:\/([0-9a-f]{24}))?\/?$/i;
+
+// --- In-memory store ---
+// Records kept per object, with Knack-style 24 character hex ids. Filters support the 'is', 'is not' and
+// 'contains' operators; connection values match on the connected record id.
+function createMemoryStore() {
+  const objects = new Map();
+
+  function table(objectKey) {
+    if (!objects.has(objectKey)) objects.set(objectKey, new Map());
+    return objects.get(objectKey);
+  }
+
+  // True if a field value (plain, or a raw connection array) equals the filter value
+  function valueMatches(fieldValue, value) {
+    if (Array.isArray(fieldValue)) {
+      return fieldValue.some(item => item === value || (item && item.id === value));
+    }
+    return fieldValue === value;
+  }
+
+  function ruleMatches(record, rule) {
+    const fieldValue = record[rule.field];
+    switch (rule.operator) {
+      case 'is':
+        return valueMatches(fieldValue, rule.value);
+      case 'is not':
+        return !valueMatches(fieldValue, rule.value);
+      case 'contains':
+        return String(fieldValue === undefined || fieldValue === null ? '' : fieldValue).includes(String(rule.value));
+      default:
+        return false;
+    }
+  }
+
+  return {
+    find(objectKey, query) {
+      let filters = null;
+      try {
+        filters = query.filters ? JSON.parse(query.filters) : null;
+      } catch (error) {
+        filters = null;
+      }
+      const rules = (filters && Array.isArray(filters.rules)) ? filters.rules : [];
+      const matchAny = filters && filters.match === 'or';
+      let records = Array.from(table(objectKey).values()).filter(record => {
+        if (rules.length === 0) return true;
+        return matchAny ? rules.some(rule => ruleMatches(record, rule)) : rules.every(rule => ruleMatches(record, rule));
+      });
+
+      if (query.sort_field) {
+        const direction = query.sort_order === 'desc' ? -1 : 1;
+        const field = query.sort_field;
+        records.sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * direction);
+      }
+
+      const rowsPerPage = Math.max(1, Number(query.rows_per_page) || 25);
+      const page = Math.max(1, Number(query.page) || 1);
+      const totalRecords = records.length;
+      records = records.slice((page - 1) * rowsPerPage, page * rowsPerPage);
+      return {
+        total_pages: Math.max(1, Math.ceil(totalRecords / rowsPerPage)),
+        current_page: page,
+        total_records: totalRecords,
+        records: records
+      };
+    },
+
+    get(objectKey, recordId) {
+      return table(objectKey).get(recordId) || null;
+    },
+
+    create(objectKey, data) {
+      const record = { ...data, id: crypto.randomBytes(12).toString('hex') };
+      table(objectKey).set(record.id, record);
+      return record;
+    },
+
+    update(objectKey, recordId, data) {
+      const existing = table(objectKey).get(recordId);
+      if (!existing) return null;
+      const record = { ...existing, ...data, id: recordId };
+      table(objectKey).set(recordId, record);
+      return record;
+    },
+
+    delete(objectKey, recordId) {
+      return table(objectKey).delete(recordId);
+    }
+  };
+}
+
+// --- HTTP helpers ---
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, headers = {}) {
+  sendJson(res, status, { errors: [{ message: message }] }, headers);
+}
+
+// Reads a request body, rejecting bodies over MAX_BODY_BYTES. An oversized body is still read to the end (and
+// discarded), since a connection closed mid-upload reaches the client as a reset instead of the 413 reply.
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks = [];
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Request body too large');
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Sets CORS headers for allowed origins. Returns false if the request came from a disallowed origin.
+// Requests without an Origin (not from a browser) pass; they still need an accepted user token.
+function applyCors(req, res, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (!allowedOrigins.includes(origin)) return false;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Knack-Application-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+  return true;
+}
+
+// Server-side checks for a request. Returns an { status, message } error, or null to let the request through.
+function validateRequest(req, route, body, options) {
+  const readOnly = options.readOnlyObjects.includes(route.objectKey);
+  if (!options.allowedObjects.includes(route.objectKey) && !readOnly) {
+    return { status: 403, message: `Object ${route.objectKey} is not available through this proxy` };
+  }
+  if (readOnly && req.method !== 'GET') {
+    return { status: 403, message: `Object ${route.objectKey} is read-only through this proxy` };
+  }
+  if (!req.headers.authorization) {
+    return { status: 401, message: 'A user token is required' };
+  }
+  if ((req.method === 'POST' || req.method === 'PUT') && (!body || typeof body !== 'object' || Array.isArray(body))) {
+    return { status: 400, message: 'Request body must be a JSON object' };
+  }
+  if (req.method === 'POST' && route.recordId) {
+    return { status: 405, message: 'Records are created without an id' };
+  }
+  if ((req.method === 'PUT' || req.method === 'DELETE') && !route.recordId) {
+    return { status: 405, message: `${req.method} needs a record id` };
+  }
+  return null;
+}
+
+// --- Targets ---
+// Answers a request from the in-memory store
+function handleWithStore(store, req, res, route, query, body) {
+  const { objectKey, recordId } = route;
+  if (req.method === 'GET' && !recordId) {
+    sendJson(res, 200, store.find(objectKey, query));
+    return;
+  }
+  if (req.method === 'POST') {
+    sendJson(res, 200, store.create(objectKey, body));
+    return;
+  }
+  const result = req.method === 'GET' ? store.get(objectKey, recordId)
+    : req.method === 'PUT' ? store.update(objectKey, recordId, body)
+    : store.delete(objectKey, recordId) ? { delete: true } : null;
+  if (!result) {
+    sendError(res, 404, `Record ${recordId} not found`);
+    return;
+  }
+  sendJson(res, 200, result);
+}
+
+// Sends a request to the Knack API and resolves with { status, body } (body parsed as JSON when possible).
+// Pass the REST API key in headers for object requests, or a user token and the 'knack' key for view requests.
+function requestKnack(options, method, path, headers) {
+  return new Promise((resolve, reject) => {
+    const upstream = https.request({
+      host: KNACK_API_HOST,
+      method: method,
+      path: path,
+      headers: { 'X-Knack-Application-Id': options.knackAppId, 'Content-Type': 'application/json', ...headers }
+    }, upstreamRes => {
+      const chunks = [];
+      upstreamRes.on('data', chunk => chunks.push(chunk));
+      upstreamRes.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body = null;
+        try {
+          body = text ? JSON.parse(text) : null;
+        } catch (error) {
+          body = null;
+        }
+        resolve({ status: upstreamRes.statusCode, body: body });
+      });
+    });
+    upstream.on('error', reject);
+    upstream.end();
+  });
+}
+
+// Returns the account id of a user token by reading KNACK_USER_VIEW with it, or null if Knack does not accept it.
+// Results are cached for TOKEN_CACHE_MS so each save does not cost an extra Knack request.
+function createTokenVerifier(options) {
+  const cache = new Map();
+  const [scene, view] = options.knackUserView.split('/');
+  return async function verifyUserToken(token) {
+    const cached = cache.get(token);
+    if (cached && cached.expires > Date.now()) return cached.userId;
+    // View-based requests carry the literal key 'knack' in place of the REST API key
+    const response = await requestKnack(options, 'GET', `/v1/pages/${scene}/views/${view}/records`, { 'X-Knack-REST-API-Key': 'knack', Authorization: token });
+    let userId = null;
+    if (response.status === 200 && response.body) {
+      // Table views list records; details views return the record itself
+      const records = Array.isArray(response.body.records) ? response.body.records : [response.body];
+      userId = records.length === 1 && typeof records[0].id === 'string' ? records[0].id : null;
+    } else if (response.status !== 401 && response.status !== 403) {
+      const error = new Error(`Knack answered ${response.status} while checking the user token`);
+      error.status = 502;
+      throw error;
+    }
+    if (cache.size >= TOKEN_CACHE_SIZE) cache.clear();
+    if (userId) cache.set(token, { userId: userId, expires: Date.now() + TOKEN_CACHE_MS });
+    return userId;
+  };
+}
+
+// True if an owner field value (account id, or a raw connection array) names the user
+function isOwnedBy(value, userId) {
+  if (Array.isArray(value)) return value.some(item => item === userId || (item && item.id === userId));
+  return value === userId;
+}
+
+// Adds "owner field is the user" to the filters of a list request. Returns an error, or null.
+function scopeListToUser(url, ownerField, userId) {
+  let filters = { match: 'and', rules: [] };
+  if (url.searchParams.has('filters')) {
+    try {
+      filters = JSON.parse(url.searchParams.get('filters'));
+    } catch (error) {
+      return { status: 400, message: 'filters is not valid JSON' };
+    }
+  }
+  const rules = filters && Array.isArray(filters.rules) ? filters.rules : null;
+  if (!rules || (filters.match === 'or' && rules.length > 1)) {
+    return { status: 400, message: 'Only filters matching all of their rules are supported through this proxy' };
+  }
+  url.searchParams.set('filters', JSON.stringify({ match: 'and', rules: [...rules, { field: ownerField, operator: 'is', value: userId }] }));
+  return null;
+}
+
+// Checks that the user of the request token may access the requested records, scoping lists and new records to
+// them. Only used for the knack target, where the API key could reach every record. Returns an error, or null.
+async function authorizeKnackRequest(options, verifyUserToken, req, route, url, body) {
+  const userId = await verifyUserToken(req.headers.authorization);
+  if (!userId) {
+    return { status: 401, message: 'The user token was not accepted by Knack' };
+  }
+  if (route.objectKey === options.userObject) {
+    return route.recordId === userId ? null : { status: 403, message: 'Only your own account record is available' };
+  }
+  const ownerField = options.ownerFields[route.objectKey];
+  if (!ownerField) {
+    return { status: 403, message: `Object ${route.objectKey} has no owner field configured` };
+  }
+  if (!route.recordId) {
+    if (req.method === 'POST') {
+      if (body[ownerField] !== undefined && !isOwnedBy(body[ownerField], userId)) {
+        return { status: 403, message: 'Records can only be created for yourself' };
+      }
+      body[ownerField] = userId;
+      return null;
+    }
+    return scopeListToUser(url, ownerField, userId);
+  }
+  if (req.method === 'PUT' && body[ownerField] !== undefined && !isOwnedBy(body[ownerField], userId)) {
+    return { status: 403, message: 'Records cannot be given to another user' };
+  }
+  const existing = await requestKnack(options, 'GET', `/v1/objects/${route.objectKey}/records/${route.recordId}`, { 'X-Knack-REST-API-Key': options.knackApiKey });
+  const record = existing.status === 200 ? existing.body : null;
+  const owner = record && (record[`${ownerField}_raw`] !== undefined ? record[`${ownerField}_raw`] : record[ownerField]);
+  // Someone else's record is reported as missing rather than forbidden, so ids cannot be probed
+  return record && isOwnedBy(owner, userId) ? null : { status: 404, message: `Record ${route.recordId} not found` };
+}
+
+// Forwards a request to the Knack API with the server's app id and REST API key
+function forwardToKnack(options, req, res, path, rawBody) {
+  return new Promise(resolve => {
+    const upstream = https.request({
+      host: KNACK_API_HOST,
+      method: req.method,
+      path: path,
+      headers: {
+        'X-Knack-Application-Id': options.knackAppId,
+        'X-Knack-REST-API-Key': options.knackApiKey,
+        'Authorization': req.headers.authorization || '',
+        'Content-Type': 'application/json',
+        ...(rawBody ? { 'Content-Length': Buffer.byteLength(rawBody) } : {})
+      }
+    }, upstreamRes => {
+      const headers = { 'Content-Type': upstreamRes.headers['content-type'] || 'application/json' };
+      if (upstreamRes.headers['retry-after']) headers['Retry-After'] = upstreamRes.headers['retry-after'];
+      res.writeHead(upstreamRes.statusCode, headers);
+      upstreamRes.pipe(res);
+      upstreamRes.on('end', resolve);
+    });
+    upstream.on('error', error => {
+      console.error('[Proxy] Knack request failed:', error.message);
+      if (!res.headersSent) sendError(res, 502, 'Knack API could not be reached');
+      resolve();
+    });
+    if (rawBody) upstream.write(rawBody);
+    upstream.end();
+  });
+}
+
+// --- Server ---
+// Creates (but does not start) the proxy server. Options default to the environment variables described above.
+function createProxyServer(overrides = {}) {
+  const env = process.env;
+  const options = {
+    target: env.PROXY_TARGET || 'memory',
+    knackAppId: env.KNACK_APP_ID,
+    knackApiKey: env.KNACK_API_KEY,
+    allowedOrigins: (env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    allowedObjects: (env.ALLOWED_OBJECTS || 'object_111').split(',').map(key => key.trim()).filter(Boolean),
+    readOnlyObjects: (env.READ_ONLY_OBJECTS || 'object_3').split(',').map(key => key.trim()).filter(Boolean),
+    knackUserView: env.KNACK_USER_VIEW,
+    userObject: env.USER_OBJECT || 'object_3',
+    ownerFields: Object.fromEntries((env.OWNER_FIELDS || 'object_111:field_3048').split(',')
+      .map(pair => pair.trim().split(':').map(part => part.trim())).filter(pair => pair.length === 2 && pair[0] && pair[1])),
+    ...overrides
+  };
+  if (options.target === 'knack') {
+    if (!options.knackAppId || !options.knackApiKey) {
+      throw new Error('The knack target needs KNACK_APP_ID and KNACK_API_KEY');
+    }
+    if (!/^scene_\d+\/view_\d+$/.test(options.knackUserView || '')) {
+      throw new Error('The knack target needs KNACK_USER_VIEW (scene_x/view_y) to check user tokens');
+    }
+    const unowned = [...options.allowedObjects, ...options.readOnlyObjects]
+      .filter(objectKey => objectKey !== options.userObject && !options.ownerFields[objectKey]);
+    if (unowned.length > 0) {
+      throw new Error(`The knack target needs an OWNER_FIELDS entry for ${unowned.join(', ')}`);
+    }
+  }
+  const store = options.target === 'memory' ? (options.store || createMemoryStore()) : null;
+  const verifyUserToken = options.target === 'knack' ? (options.verifyUserToken || createTokenVerifier(options)) : null;
+
+  async function handleRequest(req, res) {
+    if (!applyCors(req, res, options.allowedOrigins)) {
+      sendError(res, 403, 'Origin not allowed');
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://proxy.local');
+    const match = url.pathname.match(ROUTE_PATTERN);
+    if (!match || !['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+    const route = { objectKey: match[1], recordId: match[2] ? match[2].toLowerCase() : null };
+
+    const rawBody = req.method === 'POST' || req.method === 'PUT' ? await readBody(req) : '';
+    let body = null;
+    if (rawBody) {
+      try {
+        body = JSON.parse(rawBody);
+      } catch (error) {
+        sendError(res, 400, 'Request body is not valid JSON');
+        return;
+      }
+    }
+
+    const rejection = validateRequest(req, route, body, options);
+    if (rejection) {
+      sendError(res, rejection.status, rejection.message);
+      return;
+    }
+
+    if (store) {
+      handleWithStore(store, req, res, route, Object.fromEntries(url.searchParams), body);
+      return;
+    }
+    const denial = await authorizeKnackRequest(options, verifyUserToken, req, route, url, body);
+    if (denial) {
+      sendError(res, denial.status, denial.message);
+      return;
+    }
+    await forwardToKnack(options, req, res, `${url.pathname}${url.search}`, body ? JSON.stringify(body) : rawBody);
+  }
+
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error('[Proxy] Request failed:', error);
+      // The client may still be sending; closing after the reply stops it from waiting on a reused connection
+      const headers = error.status === 413 ? { Connection: 'close' } : {};
+      if (!res.headersSent) sendError(res, error.status || 500, error.status ? error.message : 'Proxy error', headers);
+    });
+  });
+}
+
+module.exports = { createProxyServer, createMemoryStore, authorizeKnackRequest };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  const server = createProxyServer();
+  server.listen(port, () => {
+    console.log(`[Proxy] VESPA TaskBoard proxy (${process.env.PROXY_TARGET || 'memory'} target) listening on port ${port}`);
+  });
+}
@@ -0,0 +1,68 @@
+// Checks for the knack target's request authorisation in vespataskboards-proxy.js. Run with: node --test
+// The token check is stubbed, so no request reaches Knack.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { authorizeKnackRequest } = require('./vespataskboards-proxy');
+
+const USER_ID = 'b'.repeat(24);
+const OTHER_ID = 'c'.repeat(24);
+const options = {
+  userObject: 'object_3',
+  ownerFields: { object_111: 'field_3048' }
+};
+const verifyUserToken = async token => (token === 'valid-token' ? USER_ID : null);
+
+function authorize(method, objectKey, recordId, { token = 'valid-token', search = '', body = null } = {}) {
+  const req = { method: method, headers: { authorization: token } };
+  const url = new URL(`http://proxy.local/v1/objects/${objectKey}/records${recordId ? `/${recordId}` : ''}${search}`);
+  return authorizeKnackRequest(options, verifyUserToken, req, { objectKey: objectKey, recordId: recordId }, url, body)
+    .then(denial => ({ denial, url, body }));
+}
+
+test('rejects tokens Knack does not accept', async () => {
+  const { denial } = await authorize('GET', 'object_111', null, { token: 'stale-token' });
+  assert.strictEqual(denial.status, 401);
+});
+
+test('serves only the user\'s own account record', async () => {
+  assert.strictEqual((await authorize('GET', 'object_3', USER_ID)).denial, null);
+  assert.strictEqual((await authorize('GET', 'object_3', OTHER_ID)).denial.status, 403);
+  assert.strictEqual((await authorize('GET', 'object_3', null)).denial.status, 403);
+});
+
+test('refuses objects without an owner field', async () => {
+  const { denial } = await authorize('GET', 'object_9', null);
+  assert.strictEqual(denial.status, 403);
+});
+
+test('scopes record lists to the user', async () => {
+  const filters = { match: 'and', rules: [{ field: 'field_1', operator: 'is', value: 'x' }] };
+  const { denial, url } = await authorize('GET', 'object_111', null, { search: `?filters=${encodeURIComponent(JSON.stringify(filters))}` });
+  assert.strictEqual(denial, null);
+  assert.deepStrictEqual(JSON.parse(url.searchParams.get('filters')).rules, [
+    { field: 'field_1', operator: 'is', value: 'x' },
+    { field: 'field_3048', operator: 'is', value: USER_ID }
+  ]);
+});
+
+test('refuses filters that match any rule', async () => {
+  const filters = { match: 'or', rules: [{ field: 'field_1', operator: 'is', value: 'x' }, { field: 'field_2', operator: 'is', value: 'y' }] };
+  const { denial } = await authorize('GET', 'object_111', null, { search: `?filters=${encodeURIComponent(JSON.stringify(filters))}` });
+  assert.strictEqual(denial.status, 400);
+});
+
+test('creates records for the user only', async () => {
+  const created = await authorize('POST', 'object_111', null, { body: { field_3052: '{}' } });
+  assert.strictEqual(created.denial, null);
+  assert.strictEqual(created.body.field_3048, USER_ID);
+  const givenAway = await authorize('POST', 'object_111', null, { body: { field_3048: OTHER_ID } });
+  assert.strictEqual(givenAway.denial.status, 403);
+});
+
+test('refuses updates that move a record to another user', async () => {
+  const { denial } = await authorize('PUT', 'object_111', 'a'.repeat(24), { body: { field_3048: OTHER_ID } });
+  assert.strictEqual(denial.status, 403);
+});
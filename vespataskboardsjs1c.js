@@ -22,6 +22,11 @@
     }
   };
   const VESPA_OBJECT = 'object_111'; // Taskboard object
+  // Bridge protocol spoken by this script: the original message set, without requestIds or optional capabilities.
+  // Apps that send APP_READY without a version are treated as version 1.
+  const PROTOCOL_VERSION = 1;
+  const SUPPORTED_APP_PROTOCOL_VERSIONS = [1];
+  const HOST_CAPABILITIES = [];
   const FIELD_MAPPING = {
     userId: 'field_3048', // User ID record
     userName: 'field_3047', // Name
@@ -29,7 +34,7 @@
     taskboardData: 'field_3052', // Taskboard data saved as JSON
     lastSaved: 'field_3053', // Date field (last saved)
     vespaCustomer: 'field_3049', // VESPA Customer (connected field)
-    account: 'field_3052' // Account (connected to user account - email)
+    account: 'field_3050' // Account (connected to user account - email)
   };
 
   // --- Helper Functions ---
@@ -139,6 +144,64 @@
     return data;
   }
 
+  // Get the origin (scheme://host:port) of a URL, or null if it cannot be parsed
+  function getOriginFromUrl(url) {
+    try {
+      return new URL(url, window.location.href).origin;
+    } catch (e) {
+      console.error("VESPA TASKBOARD: Could not determine origin for URL:", url, e);
+      return null;
+    }
+  }
+
+  // Build the list of origins the iframe bridge will talk to: the app URL origin plus any configured extras
+  function buildAllowedOrigins(appUrl) {
+    const origins = [];
+    const appOrigin = getOriginFromUrl(appUrl);
+    if (appOrigin) origins.push(appOrigin);
+
+    const extraOrigins = window.VESPA_CONFIG.allowedOrigins;
+    if (Array.isArray(extraOrigins)) {
+      extraOrigins.forEach(origin => {
+        const normalized = getOriginFromUrl(origin);
+        if (normalized && !origins.includes(normalized)) origins.push(normalized);
+      });
+    } else if (extraOrigins) {
+      console.warn("VESPA TASKBOARD: allowedOrigins should be an array of origins. Ignoring:", extraOrigins);
+    }
+    return origins;
+  }
+
+  // Post a message to the React app, only ever to the verified app origin
+  function postToApp(iframeWindow, message) {
+    if (!iframeWindow) return;
+    if (!appTargetOrigin) {
+      console.error(`[Knack Script] No verified app origin. Dropping outgoing ${message && message.type} message.`);
+      return;
+    }
+    iframeWindow.postMessage(message, appTargetOrigin);
+  }
+
+  // Check the protocol version and capabilities an app announced in APP_READY
+  function negotiateProtocol(appReadyData) {
+    const announced = appReadyData && appReadyData.protocolVersion;
+    const appVersion = announced === undefined || announced === null ? 1 : Number(announced);
+    const appCapabilities = Array.isArray(appReadyData && appReadyData.capabilities) ? appReadyData.capabilities : [];
+
+    if (!SUPPORTED_APP_PROTOCOL_VERSIONS.includes(appVersion)) {
+      return {
+        supported: false,
+        error: `App protocol version ${announced} is not supported by this Knack script (supported: ${SUPPORTED_APP_PROTOCOL_VERSIONS.join(', ')}). Please refresh the page or contact support.`
+      };
+    }
+
+    return {
+      supported: true,
+      version: appVersion,
+      capabilities: HOST_CAPABILITIES.filter(capability => appCapabilities.includes(capability))
+    };
+  }
+
   // Generic retry function for API calls
   function retryApiCall(apiCall, maxRetries = 3, delay = 1000) {
     return new Promise((resolve, reject) => {
@@ -189,15 +252,15 @@
       const currentToken = Knack.getUserToken();
       if (!currentToken) {
         console.error("Cannot get token from Knack");
-        if (iframeWindow) iframeWindow.postMessage({ type: "AUTH_REFRESH_RESULT", success: false, error: "Token not available from Knack" }, "*");
+        postToApp(iframeWindow, { type: "AUTH_REFRESH_RESULT", success: false, error: "Token not available from Knack" });
         return;
       }
       // Send the current token back
-      if (iframeWindow) iframeWindow.postMessage({ type: "AUTH_REFRESH_RESULT", success: true, token: currentToken }, "*");
+      postToApp(iframeWindow, { type: "AUTH_REFRESH_RESULT", success: true, token: currentToken });
       console.log("Successfully sent current token for refresh");
     } catch (error) {
       console.error("Error refreshing token:", error);
-      if (iframeWindow) iframeWindow.postMessage({ type: "AUTH_REFRESH_RESULT", success: false, error: error.message || "Unknown error refreshing token" }, "*");
+      postToApp(iframeWindow, { type: "AUTH_REFRESH_RESULT", success: false, error: error.message || "Unknown error refreshing token" });
     }
   }
 
@@ -218,6 +281,11 @@
           console.error("[SaveQueue] Invalid operation added:", operation);
           return reject(new Error("Invalid save operation: missing type or recordId"));
         }
+        if (fieldMappingProblems.length > 0) {
+          const error = new Error(`Saving is disabled because FIELD_MAPPING is invalid: ${fieldMappingProblems.join('; ')}`);
+          error.code = 'FIELD_MAPPING_INVALID';
+          return reject(error);
+        }
 
         const queuedOperation = {
           ...operation,
@@ -486,11 +554,97 @@
   // Create singleton instance
   const saveQueue = new SaveQueue();
 
+  // --- Field Mapping Check ---
+  // Expected Knack field types for each FIELD_MAPPING entry. A wrong field id would write boards into the wrong
+  // field (or read an empty board and save it over the real one), so loading and saving stop when one is found.
+  const FIELD_MAPPING_TYPES = {
+    userId: ['short_text'],
+    userEmail: ['email', 'short_text'],
+    userName: ['name', 'short_text'],
+    taskboardData: ['paragraph_text', 'rich_text'],
+    lastSaved: ['date_time', 'short_text'],
+    account: ['connection'],
+    vespaCustomer: ['connection']
+  };
+
+  // Problems found without the API: missing or duplicated field ids
+  function findFieldMappingProblems(mapping) {
+    const problems = [];
+    const keysByField = new Map();
+    Object.keys(FIELD_MAPPING_TYPES).forEach(key => {
+      const fieldId = mapping[key];
+      if (!fieldId || !/^field_\d+$/.test(fieldId)) {
+        problems.push(`FIELD_MAPPING.${key} must be a Knack field id like field_123, got ${JSON.stringify(fieldId)}`);
+        return;
+      }
+      if (keysByField.has(fieldId)) {
+        problems.push(`FIELD_MAPPING.${key} and FIELD_MAPPING.${keysByField.get(fieldId)} both use ${fieldId}`);
+        return;
+      }
+      keysByField.set(fieldId, key);
+    });
+    return problems;
+  }
+
+  // Problems found against the object's schema: fields missing from the object or of the wrong type
+  function findSchemaProblems(mapping, objectKey, objectSchema) {
+    const fields = new Map(((objectSchema && objectSchema.fields) || []).map(field => [field.key, field]));
+    const problems = [];
+    Object.keys(FIELD_MAPPING_TYPES).forEach(key => {
+      const fieldId = mapping[key];
+      const field = fields.get(fieldId);
+      if (!field) {
+        problems.push(`FIELD_MAPPING.${key} (${fieldId}) does not exist on ${objectKey}`);
+      } else if (!FIELD_MAPPING_TYPES[key].includes(field.type)) {
+        problems.push(`FIELD_MAPPING.${key} (${fieldId}, "${field.name}") is a ${field.type} field; expected ${FIELD_MAPPING_TYPES[key].join(' or ')}`);
+      }
+    });
+    return problems;
+  }
+
+  // Problems known so far; loading and saving are refused while this is not empty
+  const fieldMappingProblems = findFieldMappingProblems(FIELD_MAPPING);
+  fieldMappingProblems.forEach(problem => console.error(`[Knack Script] Invalid field mapping: ${problem}`));
+  let fieldMappingCheck = null;
+
+  // Checks FIELD_MAPPING against the Taskboard object's schema once per page. Resolves with all problems found.
+  function checkFieldMapping() {
+    if (!fieldMappingCheck) {
+      const getObjectApiCall = () => new Promise((resolve, reject) => {
+        $.ajax({
+          url: `${KNACK_API_URL}/objects/${VESPA_OBJECT}`,
+          type: 'GET',
+          headers: saveQueue.getKnackHeaders(),
+          success: resolve,
+          error: reject
+        });
+      });
+      fieldMappingCheck = (fieldMappingProblems.length > 0 ? Promise.resolve() : retryApiCall(getObjectApiCall)
+        .then((response) => {
+          const problems = findSchemaProblems(FIELD_MAPPING, VESPA_OBJECT, (response && response.object) || response);
+          problems.forEach(problem => console.error(`[Knack Script] Invalid field mapping: ${problem}`));
+          fieldMappingProblems.push(...problems);
+        })
+        .catch((error) => {
+          console.warn(`[Knack Script] Could not load the ${VESPA_OBJECT} schema to check FIELD_MAPPING:`, error.status, error.statusText || error.message);
+        }))
+        .then(() => fieldMappingProblems.slice());
+    }
+    return fieldMappingCheck;
+  }
+
   // --- Knack Integration Initialization ---
   // Keep track of initialization state to prevent duplicate initializations
   let isInitialized = false;
   let appReadyReceived = false;
-  
+  // Origins the iframe bridge accepts messages from, and the origin replies are posted to
+  let allowedAppOrigins = [];
+  let appTargetOrigin = null;
+  // Protocol version and shared capabilities agreed with the app on APP_READY
+  let appProtocol = null;
+  // Why APP_READY was refused, if it was; every later message is answered with this PROTOCOL_ERROR
+  let protocolRefusal = null;
+
   $(document).on('knack-scene-render.scene_1188', function(event, scene) {
     console.log("VESPA TASKBOARD: Scene rendered:", scene.key);
     if (!isInitialized) {
@@ -603,12 +757,23 @@
     iframe.src = config.appUrl;
     container.appendChild(iframe);
 
+    allowedAppOrigins = buildAllowedOrigins(config.appUrl);
+    appTargetOrigin = allowedAppOrigins[0] || null;
+    console.log("VESPA TASKBOARD: Allowed app origins:", allowedAppOrigins);
+
     // Setup listener ONCE
     const messageHandler = function(event) {
       if (event.source !== iframe.contentWindow) {
         return;
       }
 
+      if (!allowedAppOrigins.includes(event.origin)) {
+        console.error(`[Knack Script] Dropping message from disallowed origin: ${event.origin}`, event.data && event.data.type);
+        return;
+      }
+      // Reply to the origin the app actually runs on (it may be an allowlisted alternative to appUrl)
+      appTargetOrigin = event.origin;
+
       if (!event.data || !event.data.type) {
         console.warn("[Knack Script] Ignoring message with invalid format:", event.data);
         return;
@@ -636,34 +801,65 @@
           return;
         }
 
+        const protocol = negotiateProtocol(data);
+        if (!protocol.supported) {
+          console.error(`VESPA TASKBOARD: Refusing app. ${protocol.error}`);
+          protocolRefusal = protocol.error;
+          postToApp(iframeWindow, {
+            type: 'PROTOCOL_ERROR',
+            error: protocol.error,
+            hostProtocolVersion: PROTOCOL_VERSION,
+            supportedVersions: SUPPORTED_APP_PROTOCOL_VERSIONS
+          });
+          loadingDiv.innerHTML = '<p>This version of the VESPA TaskBoard app is not supported. Please refresh the page.</p>';
+          return;
+        }
+        appProtocol = protocol;
+        console.log(`VESPA TASKBOARD: App protocol v${protocol.version}`);
+
         loadingDiv.innerHTML = '<p>Loading User Data...</p>';
 
-        loadVespaTaskboardUserData(window.currentKnackUser.id, function(userData) {
-          if (iframeWindow && iframe.contentWindow === iframeWindow) {
-            const initialData = {
-              type: 'KNACK_USER_INFO',
-              data: {
-                id: window.currentKnackUser.id,
-                email: window.currentKnackUser.email,
-                name: window.currentKnackUser.name || '',
-                token: userToken,
-                appId: appId,
-                userData: userData || {},
-                emailId: window.currentKnackUser.emailId,
-                vespaCustomerId: window.currentKnackUser.vespaCustomerId,
-                accountId: window.currentKnackUser.accountId
-              }
-            };
-            debugLog("--> Sending KNACK_USER_INFO to React App", initialData.data);
-            iframeWindow.postMessage(initialData, '*');
-
-            // Show iframe after sending initial data
-            loadingDiv.style.display = 'none';
-            iframe.style.display = 'block';
-            console.log("VESPA TASKBOARD initialized and visible.");
-          } else {
-            console.warn("[Knack Script] Iframe window no longer valid when sending initial data.");
+        checkFieldMapping().then((problems) => {
+          if (problems.length > 0) {
+            loadingDiv.innerHTML = '<p>The VESPA TaskBoard is not configured correctly and has been disabled to protect saved boards. Please contact support.</p>';
+            postToApp(iframeWindow, { type: 'CONFIG_ERROR', error: 'TaskBoard field mapping is invalid', problems: problems });
+            return;
           }
+
+          loadVespaTaskboardUserData(window.currentKnackUser.id, function(userData) {
+            if (iframeWindow && iframe.contentWindow === iframeWindow) {
+              const initialData = {
+                type: 'KNACK_USER_INFO',
+                data: {
+                  id: window.currentKnackUser.id,
+                  email: window.currentKnackUser.email,
+                  name: window.currentKnackUser.name || '',
+                  token: userToken,
+                  appId: appId,
+                  userData: userData || {},
+                  emailId: window.currentKnackUser.emailId,
+                  vespaCustomerId: window.currentKnackUser.vespaCustomerId,
+                  accountId: window.currentKnackUser.accountId
+                },
+                protocol: {
+                  version: PROTOCOL_VERSION,
+                  supportedVersions: SUPPORTED_APP_PROTOCOL_VERSIONS,
+                  capabilities: HOST_CAPABILITIES,
+                  appVersion: appProtocol.version,
+                  sharedCapabilities: appProtocol.capabilities
+                }
+              };
+              debugLog("--> Sending KNACK_USER_INFO to React App", initialData.data);
+              postToApp(iframeWindow, initialData);
+
+              // Show iframe after sending initial data
+              loadingDiv.style.display = 'none';
+              iframe.style.display = 'block';
+              console.log("VESPA TASKBOARD initialized and visible.");
+            } else {
+              console.warn("[Knack Script] Iframe window no longer valid when sending initial data.");
+            }
+          });
         });
       } else {
         handleMessageRouter(type, data, iframeWindow);
@@ -684,6 +880,19 @@
       console.error("[Knack Script] iframeWindow is missing in handleMessageRouter. Cannot send response.");
       return;
     }
+    if (!appProtocol) {
+      if (type === 'PING') return;
+      console.warn(`[Knack Script] Rejecting ${type}: no supported protocol has been agreed with the app.`);
+      postToApp(iframeWindow, {
+        type: 'PROTOCOL_ERROR',
+        messageType: type,
+        error: protocolRefusal || `Send APP_READY before ${type}`,
+        hostProtocolVersion: PROTOCOL_VERSION,
+        supportedVersions: SUPPORTED_APP_PROTOCOL_VERSIONS,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
 
     console.log(`[Knack Script] Routing message type: ${type}`);
 
@@ -717,7 +926,7 @@
     console.log("[Knack Script] Handling SAVE_DATA request");
     if (!data || !data.recordId) {
       console.error("[Knack Script] SAVE_DATA request missing recordId.");
-      if (iframeWindow) iframeWindow.postMessage({ type: 'SAVE_RESULT', success: false, error: "Missing recordId" }, '*');
+      postToApp(iframeWindow, { type: 'SAVE_RESULT', success: false, error: "Missing recordId" });
       return;
     }
     debugLog("[Knack Script] Data received for SAVE_DATA:", data);
@@ -731,11 +940,11 @@
       });
 
       console.log(`[Knack Script] SAVE_DATA for record ${data.recordId} completed successfully.`);
-      if (iframeWindow) iframeWindow.postMessage({ type: 'SAVE_RESULT', success: true, timestamp: new Date().toISOString() }, '*');
+      postToApp(iframeWindow, { type: 'SAVE_RESULT', success: true, timestamp: new Date().toISOString() });
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
       console.error(`[Knack Script] SAVE_DATA failed for record ${data.recordId}:`, errorMessage);
-      if (iframeWindow) iframeWindow.postMessage({ type: 'SAVE_RESULT', success: false, error: errorMessage || 'Unknown save error' }, '*');
+      postToApp(iframeWindow, { type: 'SAVE_RESULT', success: false, error: errorMessage || 'Unknown save error' });
     }
   }
 
@@ -763,7 +972,7 @@
 
     if (!userId) {
       console.error("[Knack Script] Cannot refresh data - user ID not found.");
-      if (iframeWindow) iframeWindow.postMessage({ type: 'DATA_REFRESH_ERROR', error: 'User ID not found' }, '*');
+      postToApp(iframeWindow, { type: 'DATA_REFRESH_ERROR', error: 'User ID not found' });
       return;
     }
     
@@ -775,15 +984,15 @@
       loadVespaTaskboardUserData(userId, function(userData) {
         if (userData && userData.recordId && iframeWindow) {
           console.log(`[Knack Script] Found record ID by userId: ${userData.recordId}`);
-          iframeWindow.postMessage({
+          postToApp(iframeWindow, {
             type: 'KNACK_DATA',
             studyPlan: userData.taskboard || {},
             recordId: userData.recordId,
             timestamp: new Date().toISOString()
-          }, '*');
+          });
         } else if (iframeWindow) {
           console.error("[Knack Script] Cannot refresh data - missing record ID and could not find by userId");
-          iframeWindow.postMessage({ type: 'DATA_REFRESH_ERROR', error: 'Missing record ID in request and could not find by userId' }, '*');
+          postToApp(iframeWindow, { type: 'DATA_REFRESH_ERROR', error: 'Missing record ID in request and could not find by userId' });
         }
       });
       return;
@@ -795,24 +1004,24 @@
       if (userData && iframeWindow) {
         if (userData.recordId === recordId) {
           console.log("[Knack Script] Sending refreshed data to React app (on request)");
-          iframeWindow.postMessage({
+          postToApp(iframeWindow, {
             type: 'KNACK_DATA',
             studyPlan: userData.taskboard || {},
             recordId: userData.recordId,
             timestamp: new Date().toISOString()
-          }, '*');
+          });
         } else {
           console.warn(`[Knack Script] Loaded data record ID (${userData.recordId}) does not match requested record ID (${recordId}). Sending loaded data anyway.`);
-          iframeWindow.postMessage({
+          postToApp(iframeWindow, {
             type: 'KNACK_DATA',
             studyPlan: userData.taskboard || {},
             recordId: userData.recordId,
             timestamp: new Date().toISOString()
-          }, '*');
+          });
         }
       } else if (iframeWindow) {
         console.error("[Knack Script] Error loading updated data (on request)");
-        iframeWindow.postMessage({ type: 'DATA_REFRESH_ERROR', error: 'Failed to load data' }, '*');
+        postToApp(iframeWindow, { type: 'DATA_REFRESH_ERROR', error: 'Failed to load data' });
       }
     });
   }
@@ -823,25 +1032,25 @@
     const userId = window.currentKnackUser?.id;
     if (!userId) {
       console.error("[Knack Script] Cannot get record ID - user ID not found.");
-      if (iframeWindow) iframeWindow.postMessage({ type: 'RECORD_ID_ERROR', error: 'User ID not found' }, '*');
+      postToApp(iframeWindow, { type: 'RECORD_ID_ERROR', error: 'User ID not found' });
       return;
     }
 
     loadVespaTaskboardUserData(userId, function(userData) {
       if (userData && userData.recordId && iframeWindow) {
         console.log(`[Knack Script] Found record ID: ${userData.recordId}`);
-        iframeWindow.postMessage({
+        postToApp(iframeWindow, {
           type: 'RECORD_ID_RESPONSE',
           recordId: userData.recordId,
           timestamp: new Date().toISOString()
-        }, '*');
+        });
       } else if (iframeWindow) {
         console.error(`[Knack Script] Could not find record ID for user ${userId}`);
-        iframeWindow.postMessage({
+        postToApp(iframeWindow, {
           type: 'RECORD_ID_ERROR',
           error: 'Record ID not found',
           timestamp: new Date().toISOString()
-        }, '*');
+        });
       }
     });
   }
@@ -875,6 +1084,11 @@
   // Load user's taskboard data
   function loadVespaTaskboardUserData(userId, callback) {
     console.log(`[Knack Script] Loading taskboard data for user ID: ${userId}`);
+    if (fieldMappingProblems.length > 0) {
+      console.error("[Knack Script] Not loading taskboard data: FIELD_MAPPING is invalid.", fieldMappingProblems);
+      callback(null);
+      return;
+    }
     const findRecordApiCall = () => new Promise((resolve, reject) => {
       $.ajax({
         url: `${KNACK_API_URL}/objects/${VESPA_OBJECT}/records`,
@@ -17,6 +17,15 @@
  const knackAppId = window.VESPA_APPS.taskboards.knackAppId;
 const knackApiKey = window.VESPA_APPS.taskboards.knackApiKey;
 const KNACK_API_URL = 'https://api.knack.com/v1';
+  const HANDLER_TIMEOUT_MS = window.VESPA_APPS.taskboards.handlerTimeoutMs || 60000; // Max wait before a REQUEST_TIMEOUT reply
+  const BOARD_COMPRESSION_MIN_LENGTH = window.VESPA_APPS.taskboards.compressionMinLength || 2048; // Smaller boards stay plain JSON
+  const KEEPALIVE_BODY_LIMIT = 60000; // Browsers allow 64 KiB of keepalive request bodies in flight per page
+  // Bridge protocol spoken by this script. Apps that send APP_READY without a version are treated as version 1.
+  const PROTOCOL_VERSION = 2;
+  const SUPPORTED_APP_PROTOCOL_VERSIONS = [1, 2];
+  const HOST_CAPABILITIES = ['requestId', 'requestTimeout', 'messageValidation', 'handlerRegistry', 'pendingSaveRestore', 'saveConflict', 'saveMerge', 'savePatchBaseHash', 'boardRecovery', 'finalSnapshot', 'unsavedChangesGuard'];
+  // Replies any handler may send regardless of its declared reply types
+  const GENERIC_REPLY_TYPES = ['INVALID_MESSAGE', 'HANDLER_ERROR', 'REQUEST_TIMEOUT'];
 const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     'scene_1188': {
       'view_3009': {
@@ -26,7 +35,10 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
       }
     }
   };
-  const TASKBOARD_OBJECT = 'object_111'; // TaskBoard object
+  // Object and field keys differ between Knack apps (staging, partners); each can be overridden from
+  // VESPA_APPS.taskboards, e.g. { taskboardObject: 'object_42', fieldMapping: { boardData: 'field_900' } }.
+  // fieldMapping entries replace the matching defaults below; the rest keep their default.
+  const TASKBOARD_OBJECT = window.VESPA_APPS.taskboards.taskboardObject || 'object_111'; // TaskBoard object
   const FIELD_MAPPING = {
     userId: 'field_3048', // User ID
     userEmail: 'field_3054', // User Email
@@ -34,8 +46,11 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     boardData: 'field_3052', // JSON Data field
     lastSaved: 'field_3053', // Last saved timestamp
     account: 'field_3050',   // Account connection field
-    vespaCustomer: 'field_3049' // VESPA Customer connection field
+    vespaCustomer: 'field_3049', // VESPA Customer connection field
+    ...(window.VESPA_APPS.taskboards.fieldMapping || {})
   };
+  const USER_OBJECT = window.VESPA_APPS.taskboards.userObject || 'object_3'; // User accounts object
+  const SCHOOL_FIELD = window.VESPA_APPS.taskboards.schoolField || 'field_122'; // User's school (VESPA customer) connection
 
   // --- Helper Functions ---
   
@@ -143,6 +158,34 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     return sanitized.trim();
   }
 
+  // Parse a potentially compressed, URI-encoded and/or JSON-encoded field from a Knack record
+  function parseRecordField(record, fieldName) {
+    const rawValue = decodeCompressedField(record ? record[fieldName] : undefined);
+    if (rawValue === undefined || rawValue === null) return null;
+    const decodedValue = (typeof rawValue === 'string' && rawValue.includes('%'))
+      ? safeDecodeURIComponent(rawValue)
+      : rawValue;
+    if (typeof decodedValue === 'string' && (decodedValue.startsWith('{') || decodedValue.startsWith('['))) {
+      return safeParseJSON(decodedValue);
+    }
+    return decodedValue;
+  }
+
+  // Convert a lastSaved value (ISO string, epoch ms or Knack raw date object) to epoch milliseconds, or null
+  function normalizeTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+      const parsed = Date.parse(value);
+      return isNaN(parsed) ? null : parsed;
+    }
+    if (typeof value === 'object') {
+      if (typeof value.unix_timestamp === 'number') return value.unix_timestamp;
+      return normalizeTimestamp(value.iso_timestamp || value.timestamp || null);
+    }
+    return null;
+  }
+
   // Debug logging helper
   function debugLog(title, data) {
     console.log(`%c[VESPA TaskBoard] ${title}`, 'color: #112f62; font-weight: bold; font-size: 12px;');
@@ -151,79 +194,1571 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     } catch (e) {
       console.log("Data could not be fully serialized for logging:", data);
     }
-    return data;
+    return data;
+  }
+
+  // --- Retry Policy ---
+  // One policy for request retries (retryApiCall) and save retries (SaveQueue). Settings come from
+  // VESPA_APPS.taskboards.retryPolicy, e.g. { maxAttempts: 4, baseDelayMs: 2000, schools: { <schoolId>: { maxAttempts: 6 } } },
+  // where `schools` overrides the settings for users of that VESPA customer.
+  const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,     // Attempts in total, including the first
+    baseDelayMs: 1000,  // Backoff before the first retry; doubles for each later retry
+    maxDelayMs: 30000,  // Backoff cap (a server's Retry-After is honoured in full)
+    jitter: 0.3         // Backoff is randomised by +/- this fraction so clients do not retry in lockstep
+  };
+
+  // Effective retry policy for the current user
+  function getRetryPolicy() {
+    const { schools, ...config } = window.VESPA_APPS.taskboards.retryPolicy || {};
+    const schoolId = window.currentKnackUser && window.currentKnackUser.schoolId;
+    const schoolConfig = (schools && schoolId && schools[schoolId]) || {};
+    return { ...DEFAULT_RETRY_POLICY, ...config, ...schoolConfig };
+  }
+
+  // Classify a failed request: 'transient' (network, timeout, rate limit, server error; worth retrying),
+  // 'auth' (token rejected) or 'permanent' (any other 4xx, or an error this script raised with a code)
+  function classifyApiError(error) {
+    const status = error && typeof error.status === 'number' ? error.status : null;
+    if (status === null) return error && error.code ? 'permanent' : 'transient';
+    if (status === 0 || status === 408 || status === 429 || status >= 500) return 'transient';
+    if (status === 401) return 'auth';
+    return 'permanent';
+  }
+
+  // Milliseconds requested by a Retry-After header (seconds or HTTP date), or null
+  function getRetryAfterMs(error) {
+    if (!error) return null;
+    const header = typeof error.getResponseHeader === 'function' ? error.getResponseHeader('Retry-After') : error.retryAfter;
+    if (header === undefined || header === null || header === '') return null;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Delay before retrying after failed attempt number `attempt` (1-based)
+  function getRetryDelay(policy, attempt, error) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) return retryAfter;
+    const backoff = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+    const spread = backoff * policy.jitter;
+    return Math.round(backoff - spread + Math.random() * spread * 2);
+  }
+
+  // Run an API call under the retry policy. `overrides` replace policy settings for this call.
+  // Transient errors are retried with backoff; an auth error is retried once after re-reading the token.
+  function retryApiCall(apiCall, overrides = {}) {
+    const policy = { ...getRetryPolicy(), ...overrides };
+    return new Promise((resolve, reject) => {
+      let authRetried = false;
+      const attempt = (attemptNumber) => {
+        apiCall()
+          .then(resolve)
+          .catch((error) => {
+            const errorClass = classifyApiError(error);
+            console.warn(`API call failed (Attempt ${attemptNumber}/${policy.maxAttempts}, ${errorClass}):`, error.status, error.statusText, error.responseText);
+
+            if (errorClass === 'auth' && !authRetried) {
+              authRetried = true;
+              refreshAuthentication().then(() => attempt(attemptNumber), () => reject(error));
+            } else if (errorClass === 'transient' && attemptNumber < policy.maxAttempts) {
+              const retryDelay = getRetryDelay(policy, attemptNumber, error);
+              console.log(`Retrying API call in ${retryDelay}ms...`);
+              setTimeout(() => attempt(attemptNumber + 1), retryDelay);
+            } else {
+              console.error(`API call failed after ${attemptNumber} attempt(s) (${errorClass} error).`);
+              reject(error);
+            }
+          });
+      };
+      attempt(1);
+    });
+  }
+
+  // --- Knack API Client ---
+  // Promise-based client for the Knack object records API, built on fetch. Requests run under the retry policy
+  // and fail with a normalised Error carrying status (0 for network failures), code ('NETWORK_ERROR' or
+  // 'KNACK_API_ERROR'), method, path, responseText, knackErrors (messages from Knack) and retryAfter.
+  // Requests that cannot be authenticated fail with code 'AUTH_UNAVAILABLE' (status 401, so treated as an
+  // auth error), and a 2xx response that is not JSON fails with code 'INVALID_RESPONSE' (not retried).
+  // Set VESPA_APPS.taskboards.knackClient to any object with the same get/find/create/update/delete methods
+  // to replace it, e.g. with an in-memory stub for testing.
+  class KnackClient {
+    constructor(options = {}) {
+      this.baseUrl = options.baseUrl || KNACK_API_URL;
+      this.appId = options.appId;
+      this.apiKey = options.apiKey;
+      this.getToken = options.getToken || (() => Knack.getUserToken());
+      this.fetch = options.fetch || ((url, init) => window.fetch(url, init));
+    }
+
+    // Standard Knack API headers for the current user
+    getHeaders() {
+      if (typeof Knack === 'undefined' || typeof Knack.getUserToken !== 'function') {
+        console.error("[KnackClient] Knack object or getUserToken function not available.");
+        throw new Error("Knack authentication context not available.");
+      }
+      const token = this.getToken();
+      if (!token) {
+        console.warn("[KnackClient] Knack user token is null or undefined. API calls may fail.");
+      }
+      return {
+        'X-Knack-Application-Id': this.appId,
+        'X-Knack-REST-API-Key': this.apiKey,
+        'Authorization': token || '',
+        'Content-Type': 'application/json'
+      };
+    }
+
+    // Sends one request without retries. Resolves with the parsed response body.
+    async send(method, path, options = {}) {
+      const query = options.query ? `?${new URLSearchParams(options.query).toString()}` : '';
+      let headers;
+      try {
+        headers = this.getHeaders();
+      } catch (error) {
+        const authError = new Error(`Knack ${method} ${path} failed: ${error.message}`);
+        authError.code = 'AUTH_UNAVAILABLE';
+        authError.status = 401;
+        authError.method = method;
+        authError.path = path;
+        throw authError;
+      }
+      let response;
+      try {
+        response = await this.fetch(`${this.baseUrl}${path}${query}`, {
+          method: method,
+          headers: headers,
+          body: options.body === undefined ? undefined : JSON.stringify(options.body),
+          keepalive: !!options.keepalive
+        });
+      } catch (error) {
+        throw this.normalizeError(method, path, 0, '', null, error.message);
+      }
+      const text = await response.text();
+      if (!response.ok) {
+        throw this.normalizeError(method, path, response.status, text, response.headers.get('Retry-After'));
+      }
+      if (!text) return {};
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        const parseError = new Error(`Knack ${method} ${path} returned a response that is not JSON: ${error.message}`);
+        parseError.code = 'INVALID_RESPONSE';
+        parseError.method = method;
+        parseError.path = path;
+        parseError.responseStatus = response.status;
+        parseError.responseText = text;
+        throw parseError;
+      }
+    }
+
+    normalizeError(method, path, status, responseText, retryAfter, reason) {
+      let knackErrors = [];
+      try {
+        const body = responseText ? JSON.parse(responseText) : null;
+        if (body && Array.isArray(body.errors)) knackErrors = body.errors.map(error => (error && error.message) || String(error));
+      } catch (e) {
+        // Not a JSON error body
+      }
+      const detail = knackErrors[0] || reason || (status ? `HTTP ${status}` : 'network error');
+      const error = new Error(`Knack ${method} ${path} failed: ${detail}`);
+      error.code = status === 0 ? 'NETWORK_ERROR' : 'KNACK_API_ERROR';
+      error.status = status;
+      error.method = method;
+      error.path = path;
+      error.responseText = responseText;
+      error.knackErrors = knackErrors;
+      error.retryAfter = retryAfter;
+      return error;
+    }
+
+    // Sends a request under the retry policy. options.retry overrides policy settings for this call.
+    request(method, path, options = {}) {
+      return retryApiCall(() => this.send(method, path, options), options.retry);
+    }
+
+    // Object definition including its fields ({ key, name, type }). Needs the REST API key.
+    async getObject(objectKey) {
+      const response = await this.request('GET', `/objects/${objectKey}`);
+      return (response && response.object) || response;
+    }
+
+    // Path of the records endpoint used for an action ('get', 'find', 'create', 'update' or 'delete') on an object
+    recordsPath(objectKey, action) {
+      return `/objects/${objectKey}/records`;
+    }
+
+    // One record, in raw format. These methods are async so a recordsPath error rejects rather than throws.
+    async get(objectKey, recordId, options = {}) {
+      return this.request('GET', `${this.recordsPath(objectKey, 'get')}/${recordId}`, { ...options, query: { format: 'raw' } });
+    }
+
+    // Records matching Knack filters ({ match, rules }). `query` adds paging and sorting parameters.
+    async find(objectKey, filters, query = {}, options = {}) {
+      const response = await this.request('GET', this.recordsPath(objectKey, 'find'), {
+        ...options,
+        query: { format: 'raw', ...query, filters: JSON.stringify(filters) }
+      });
+      return (response && response.records) || [];
+    }
+
+    async create(objectKey, data, options = {}) {
+      return this.request('POST', this.recordsPath(objectKey, 'create'), { ...options, body: data });
+    }
+
+    async update(objectKey, recordId, data, options = {}) {
+      return this.request('PUT', `${this.recordsPath(objectKey, 'update')}/${recordId}`, { ...options, body: data });
+    }
+
+    async delete(objectKey, recordId, options = {}) {
+      return this.request('DELETE', `${this.recordsPath(objectKey, 'delete')}/${recordId}`, options);
+    }
+  }
+
+  // KnackClient for view-based requests (VESPA_APPS.taskboards.apiMode = 'view'). Requests go to
+  // /pages/<scene>/views/<view>/records and are authorised by the user token alone, so the REST API key is not
+  // needed in the browser. Each object maps its actions to views the logged-in user can access:
+  //   views: { object_111: { scene: 'scene_x', find: 'view_a', get: 'view_b', create: 'view_c', update: 'view_d', delete: 'view_a' } }
+  // find/get need a table or details view, create a form that adds records, update a form that edits them, and
+  // delete a table with a delete link. Restrict the views to records of the logged-in user in the Knack builder.
+  class KnackViewClient extends KnackClient {
+    constructor(options = {}) {
+      super({ ...options, apiKey: 'knack' });
+      this.views = options.views || {};
+    }
+
+    recordsPath(objectKey, action) {
+      const mapping = this.views[objectKey];
+      if (!mapping || !mapping.scene || !mapping[action]) {
+        const error = new Error(`No Knack view is configured for ${action} on ${objectKey} (VESPA_APPS.taskboards.views)`);
+        error.code = 'VIEW_NOT_CONFIGURED';
+        throw error;
+      }
+      return `/pages/${mapping.scene}/views/${mapping[action]}/records`;
+    }
+
+    // Form views answer with { record: {...} }; callers expect the record itself as from the object API
+    async create(objectKey, data, options = {}) {
+      const response = await super.create(objectKey, data, options);
+      return (response && response.record) || response;
+    }
+
+    async update(objectKey, recordId, data, options = {}) {
+      const response = await super.update(objectKey, recordId, data, options);
+      return (response && response.record) || response;
+    }
+
+    // Actions without a view for an object, e.g. ['create']
+    getMissingActions(objectKey, actions) {
+      const mapping = this.views[objectKey] || {};
+      return actions.filter(action => !mapping.scene || !mapping[action]);
+    }
+  }
+
+  // KnackClient for a TaskBoard proxy (VESPA_APPS.taskboards.apiMode = 'proxy'). Requests use the object-based
+  // paths but go to VESPA_APPS.taskboards.proxyUrl (e.g. 'https://taskboard-proxy.example.org/v1') with only the
+  // app id and user token; the proxy adds the REST API key or serves the records itself, and can validate
+  // requests on the server. vespataskboards-proxy.js is a reference implementation.
+  class KnackProxyClient extends KnackClient {
+    constructor(options = {}) {
+      super({ ...options, baseUrl: options.proxyUrl, apiKey: null });
+    }
+
+    getHeaders() {
+      const headers = super.getHeaders();
+      delete headers['X-Knack-REST-API-Key'];
+      return headers;
+    }
+  }
+
+  // 'object' (REST API key), 'view' (user token only, see KnackViewClient) or 'proxy' (see KnackProxyClient)
+  const KNACK_API_MODE = ['view', 'proxy'].includes(window.VESPA_APPS.taskboards.apiMode) ? window.VESPA_APPS.taskboards.apiMode : 'object';
+
+  function createKnackClient() {
+    if (KNACK_API_MODE === 'object') {
+      return new KnackClient({ appId: knackAppId, apiKey: knackApiKey });
+    }
+    if (knackApiKey) {
+      console.warn(`[KnackClient] ${KNACK_API_MODE} API mode is on; knackApiKey is not used and should be removed from the page configuration.`);
+    }
+    if (KNACK_API_MODE === 'view') {
+      return new KnackViewClient({ appId: knackAppId, views: window.VESPA_APPS.taskboards.views });
+    }
+    const proxyUrl = window.VESPA_APPS.taskboards.proxyUrl;
+    if (!proxyUrl) {
+      console.error("[KnackClient] Proxy API mode needs VESPA_APPS.taskboards.proxyUrl. Requests will fail.");
+    }
+    return new KnackProxyClient({ appId: knackAppId, proxyUrl: proxyUrl ? proxyUrl.replace(/\/+$/, '') : '' });
+  }
+
+  const knackClient = window.VESPA_APPS.taskboards.knackClient || createKnackClient();
+
+  // Get the origin (scheme://host:port) of a URL, or null if it cannot be parsed
+  function getOriginFromUrl(url) {
+    try {
+      return new URL(url, window.location.href).origin;
+    } catch (e) {
+      console.error("VESPA TaskBoard: Could not determine origin for URL:", url, e);
+      return null;
+    }
+  }
+
+  // Build the list of origins the iframe bridge will talk to: the app URL origin plus any configured extras
+  function buildAllowedOrigins(appUrl) {
+    const origins = [];
+    const appOrigin = getOriginFromUrl(appUrl);
+    if (appOrigin) origins.push(appOrigin);
+
+    const extraOrigins = window.VESPA_APPS.taskboards.allowedOrigins;
+    if (Array.isArray(extraOrigins)) {
+      extraOrigins.forEach(origin => {
+        const normalized = getOriginFromUrl(origin);
+        if (normalized && !origins.includes(normalized)) origins.push(normalized);
+      });
+    } else if (extraOrigins) {
+      console.warn("VESPA TaskBoard: allowedOrigins should be an array of origins. Ignoring:", extraOrigins);
+    }
+    return origins;
+  }
+
+  // Post a message to the React app, only ever to the verified app origin
+  function postToApp(iframeWindow, message) {
+    if (!iframeWindow) return;
+    if (!appTargetOrigin) {
+      console.error(`[Knack Script] No verified app origin. Dropping outgoing ${message && message.type} message.`);
+      return;
+    }
+    iframeWindow.postMessage(message, appTargetOrigin);
+  }
+
+  // Check the protocol version and capabilities an app announced in APP_READY
+  function negotiateProtocol(appReadyData) {
+    const announced = appReadyData && appReadyData.protocolVersion;
+    const appVersion = announced === undefined || announced === null ? 1 : Number(announced);
+    const appCapabilities = Array.isArray(appReadyData && appReadyData.capabilities) ? appReadyData.capabilities : [];
+
+    if (!SUPPORTED_APP_PROTOCOL_VERSIONS.includes(appVersion)) {
+      return {
+        supported: false,
+        error: `App protocol version ${announced} is not supported by this Knack script (supported: ${SUPPORTED_APP_PROTOCOL_VERSIONS.join(', ')}). Please refresh the page or contact support.`
+      };
+    }
+
+    return {
+      supported: true,
+      version: appVersion,
+      capabilities: HOST_CAPABILITIES.filter(capability => appCapabilities.includes(capability))
+    };
+  }
+
+  // Create the reply handle for one incoming bridge message. Every reply echoes the message's
+  // requestId, and a REQUEST_TIMEOUT is sent if the handler has not answered in time.
+  // The optional contract ({ replyTypes, expectsReply }) comes from the message handler registry.
+  function createResponder(iframeWindow, requestType, requestId, contract = {}) {
+    let answered = contract.expectsReply === false;
+    const timeoutId = answered ? null : setTimeout(() => {
+      if (answered) return;
+      answered = true;
+      console.error(`[Knack Script] Handler for ${requestType} did not answer within ${HANDLER_TIMEOUT_MS}ms (requestId: ${requestId}).`);
+      postToApp(iframeWindow, {
+        type: 'REQUEST_TIMEOUT',
+        requestType: requestType,
+        requestId: requestId,
+        error: `No response to ${requestType} within ${HANDLER_TIMEOUT_MS}ms`,
+        timestamp: new Date().toISOString()
+      });
+    }, HANDLER_TIMEOUT_MS);
+
+    return {
+      requestId: requestId,
+      reply(message) {
+        if (answered) {
+          console.warn(`[Knack Script] Sending late or additional ${message.type} reply for ${requestType} (requestId: ${requestId}).`);
+        }
+        if (contract.replyTypes && !contract.replyTypes.includes(message.type) && !GENERIC_REPLY_TYPES.includes(message.type)) {
+          console.warn(`[Knack Script] ${requestType} handler replied with ${message.type}, which is not in its reply contract (${contract.replyTypes.join(', ')}).`);
+        }
+        answered = true;
+        clearTimeout(timeoutId);
+        postToApp(iframeWindow, requestId !== undefined ? { ...message, requestId } : message);
+      },
+      // Mark a message that expects no reply as handled
+      complete() {
+        answered = true;
+        clearTimeout(timeoutId);
+      }
+    };
+  }
+
+  // Function to refresh authentication
+  function refreshAuthentication() {
+    return new Promise((resolve, reject) => {
+      try {
+        const currentToken = Knack.getUserToken();
+        if (currentToken) {
+          console.log(`Auth token available via Knack.getUserToken()`);
+          resolve(currentToken);
+        } else {
+          console.error(`Cannot get auth token - Knack.getUserToken() returned null`);
+          reject(new Error("Auth token not available"));
+        }
+      } catch (error) {
+        console.error(`Error getting auth token:`, error);
+        reject(error);
+      }
+    });
+  }
+
+  // Handle token refresh request from React app
+  function handleTokenRefresh(responder) {
+    console.log("Handling token refresh request from React app");
+    try {
+      const currentToken = Knack.getUserToken();
+      if (!currentToken) {
+        console.error("Cannot get token from Knack");
+        responder.reply({ type: "AUTH_REFRESH_RESULT", success: false, error: "Token not available from Knack" });
+        return;
+      }
+      // Send the current token back
+      responder.reply({ type: "AUTH_REFRESH_RESULT", success: true, token: currentToken });
+      console.log("Successfully sent current token for refresh");
+    } catch (error) {
+      console.error("Error refreshing token:", error);
+      responder.reply({ type: "AUTH_REFRESH_RESULT", success: false, error: error.message || "Unknown error refreshing token" });
+    }
+  }
+
+  // --- Board Schema Migrations ---
+  // Every saved board is stamped with schemaVersion. Boards saved before versioning count as version 0.
+  // To change the board shape: bump BOARD_SCHEMA_VERSION and append a migration from the previous version.
+  const BOARD_SCHEMA_VERSION = 1;
+  const BOARD_MIGRATIONS = [
+    {
+      from: 0,
+      to: 1,
+      // Unversioned boards already have the v1 shape; they only need stamping
+      migrate: board => board
+    }
+  ];
+  const MIGRATION_WRITE_BACK_DELAY_MS = 10000; // Wait before saving a migrated board back to Knack
+
+  // Read the schema version of a board (0 for boards saved before versioning)
+  function getBoardSchemaVersion(board) {
+    return board && typeof board.schemaVersion === 'number' ? board.schemaVersion : 0;
+  }
+
+  // Bring a board up to BOARD_SCHEMA_VERSION. Returns { board, migrated, fromVersion }.
+  // Boards from a newer schema than this script knows are returned untouched.
+  function migrateBoard(board) {
+    if (!isPlainObject(board)) return { board: board, migrated: false, fromVersion: null };
+    const fromVersion = getBoardSchemaVersion(board);
+    if (fromVersion > BOARD_SCHEMA_VERSION) {
+      console.warn(`VESPA TaskBoard: Board schema version ${fromVersion} is newer than this script supports (${BOARD_SCHEMA_VERSION}). Leaving it unchanged.`);
+      return { board: board, migrated: false, fromVersion: fromVersion };
+    }
+
+    let migrated = JSON.parse(JSON.stringify(board));
+    let version = fromVersion;
+    while (version < BOARD_SCHEMA_VERSION) {
+      const step = BOARD_MIGRATIONS.find(migration => migration.from === version);
+      if (!step) {
+        throw new Error(`No board migration from schema version ${version}`);
+      }
+      migrated = step.migrate(migrated) || migrated;
+      migrated.schemaVersion = step.to;
+      version = step.to;
+    }
+    if (version !== fromVersion) {
+      console.log(`VESPA TaskBoard: Migrated board from schema version ${fromVersion} to ${version}.`);
+    }
+    return { board: migrated, migrated: version !== fromVersion, fromVersion: fromVersion };
+  }
+
+  // Stamp the current schema version on a board being saved, unless it already carries one
+  function stampBoardSchemaVersion(board) {
+    if (!isPlainObject(board) || typeof board.schemaVersion === 'number') return board;
+    return { ...board, schemaVersion: BOARD_SCHEMA_VERSION };
+  }
+
+  // --- Board Validation ---
+  // Structural checks run on every board before it is queued for saving, and again as it is serialized for Knack. `columns` and `tasks` may be arrays
+  // of items or id -> item maps; items need a unique id, and task columnIds must point at an existing column.
+  const BOARD_DATE_FIELDS = ['dueDate', 'startDate', 'createdAt', 'updatedAt', 'completedAt'];
+
+  // Return the items of a collection as [key, item] pairs, or null if it is neither an array nor a map
+  function getCollectionEntries(collection) {
+    if (Array.isArray(collection)) return collection.map((item, index) => [String(index), item]);
+    if (isPlainObject(collection)) return Object.keys(collection).map(key => [key, collection[key]]);
+    return null;
+  }
+
+  // Validate a board's structure. Returns a list of { path, error } violations (empty when valid).
+  function validateBoard(board) {
+    if (!isPlainObject(board)) {
+      return [{ path: 'board', error: `must be an object, got ${getSchemaType(board)}` }];
+    }
+    try {
+      JSON.stringify(board);
+    } catch (e) {
+      return [{ path: 'board', error: 'contains circular references or values that cannot be saved' }];
+    }
+
+    const violations = [];
+    if (board.schemaVersion !== undefined && typeof board.schemaVersion !== 'number') {
+      violations.push({ path: 'schemaVersion', error: 'must be a number' });
+    }
+
+    const columnIds = new Set();
+    ['columns', 'tasks'].forEach(collectionName => {
+      if (board[collectionName] === undefined) return;
+      const entries = getCollectionEntries(board[collectionName]);
+      if (!entries) {
+        violations.push({ path: collectionName, error: 'must be an array or an object keyed by id' });
+        return;
+      }
+      const seenIds = new Set();
+      entries.forEach(([key, item]) => {
+        const path = `${collectionName}[${key}]`;
+        if (!isPlainObject(item)) {
+          violations.push({ path: path, error: 'must be an object' });
+          return;
+        }
+        if (item.id === undefined || item.id === null || item.id === '' || !['string', 'number'].includes(typeof item.id)) {
+          violations.push({ path: `${path}.id`, error: 'must be a non-empty string or number' });
+        } else if (seenIds.has(String(item.id))) {
+          violations.push({ path: `${path}.id`, error: `duplicate id ${item.id}` });
+        } else {
+          seenIds.add(String(item.id));
+          if (collectionName === 'columns') columnIds.add(String(item.id));
+        }
+        BOARD_DATE_FIELDS.forEach(field => {
+          const value = item[field];
+          if (value === undefined || value === null || value === '') return;
+          if (!['string', 'number'].includes(typeof value) || isNaN(new Date(value).getTime())) {
+            violations.push({ path: `${path}.${field}`, error: 'must be a valid date' });
+          }
+        });
+      });
+    });
+
+    if (board.columns !== undefined && columnIds.size > 0) {
+      (getCollectionEntries(board.tasks) || []).forEach(([key, task]) => {
+        if (isPlainObject(task) && task.columnId !== undefined && task.columnId !== null && !columnIds.has(String(task.columnId))) {
+          violations.push({ path: `tasks[${key}].columnId`, error: `refers to unknown column ${task.columnId}` });
+        }
+      });
+    }
+    return violations;
+  }
+
+  // Error for a board that failed validateBoard, carrying the violations for the app
+  function createInvalidBoardError(violations) {
+    const error = new Error(`Board failed validation: ${violations.map(v => `${v.path} ${v.error}`).join('; ')}`);
+    error.code = 'INVALID_BOARD';
+    error.violations = violations;
+    return error;
+  }
+
+  // True if a board has no content beyond its schema version
+  function isBoardEmpty(board) {
+    if (!isPlainObject(board)) return true;
+    return Object.keys(board).filter(key => key !== 'schemaVersion').every(key => {
+      const value = board[key];
+      if (value === null || value === undefined || value === '') return true;
+      if (Array.isArray(value)) return value.length === 0;
+      if (isPlainObject(value)) return Object.keys(value).length === 0;
+      return false;
+    });
+  }
+
+  // --- Board Data Compression ---
+  // With VESPA_APPS.taskboards.compressBoardData = true, large boards are stored LZ-compressed (LZ-String
+  // compatible, base64 alphabet) behind a format marker. It is off by default because the 1a-1c scripts read the
+  // same field and cannot decode the marker; turn it on only once no page runs them. Fields without the marker are
+  // read as before: plain JSON or legacy URI-encoded JSON.
+  const COMPRESSED_BOARD_PREFIX = 'LZB64:';
+  const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
+
+  // LZW-style compression to a stream of `bitsPerChar`-bit symbols (the LZ-String algorithm)
+  function lzCompress(input, bitsPerChar, getCharFromInt) {
+    const dictionary = {};
+    const dictionaryToCreate = {};
+    const output = [];
+    let w = '';
+    let enlargeIn = 2;
+    let dictSize = 3;
+    let numBits = 2;
+    let dataVal = 0;
+    let dataPosition = 0;
+
+    const writeBits = (value, count) => {
+      for (let i = 0; i < count; i++) {
+        dataVal = (dataVal << 1) | (value & 1);
+        value >>= 1;
+        if (dataPosition === bitsPerChar - 1) {
+          dataPosition = 0;
+          output.push(getCharFromInt(dataVal));
+          dataVal = 0;
+        } else {
+          dataPosition++;
+        }
+      }
+    };
+    const growIfNeeded = () => {
+      enlargeIn--;
+      if (enlargeIn === 0) {
+        enlargeIn = Math.pow(2, numBits);
+        numBits++;
+      }
+    };
+    const emitPhrase = (phrase) => {
+      if (Object.prototype.hasOwnProperty.call(dictionaryToCreate, phrase)) {
+        const charCode = phrase.charCodeAt(0);
+        if (charCode < 256) {
+          writeBits(0, numBits);
+          writeBits(charCode, 8);
+        } else {
+          writeBits(1, numBits);
+          writeBits(charCode, 16);
+        }
+        growIfNeeded();
+        delete dictionaryToCreate[phrase];
+      } else {
+        writeBits(dictionary[phrase], numBits);
+      }
+      growIfNeeded();
+    };
+
+    for (let i = 0; i < input.length; i++) {
+      const c = input.charAt(i);
+      if (!Object.prototype.hasOwnProperty.call(dictionary, c)) {
+        dictionary[c] = dictSize++;
+        dictionaryToCreate[c] = true;
+      }
+      const wc = w + c;
+      if (Object.prototype.hasOwnProperty.call(dictionary, wc)) {
+        w = wc;
+      } else {
+        emitPhrase(w);
+        dictionary[wc] = dictSize++;
+        w = c;
+      }
+    }
+    if (w !== '') emitPhrase(w);
+
+    // End of stream marker, then flush the last partial symbol
+    writeBits(2, numBits);
+    while (true) {
+      dataVal = dataVal << 1;
+      if (dataPosition === bitsPerChar - 1) {
+        output.push(getCharFromInt(dataVal));
+        break;
+      }
+      dataPosition++;
+    }
+    return output.join('');
+  }
+
+  // Inverse of lzCompress. Returns null if the stream is corrupt.
+  function lzDecompress(length, resetValue, getNextValue) {
+    const dictionary = [0, 1, 2];
+    const result = [];
+    let enlargeIn = 4;
+    let dictSize = 4;
+    let numBits = 3;
+    const data = { val: getNextValue(0), position: resetValue, index: 1 };
+
+    const readBits = (count) => {
+      let bits = 0;
+      for (let power = 1; power !== Math.pow(2, count); power <<= 1) {
+        const bit = data.val & data.position;
+        data.position >>= 1;
+        if (data.position === 0) {
+          data.position = resetValue;
+          data.val = getNextValue(data.index++);
+        }
+        bits |= (bit > 0 ? 1 : 0) * power;
+      }
+      return bits;
+    };
+
+    let c;
+    switch (readBits(2)) {
+      case 0: c = String.fromCharCode(readBits(8)); break;
+      case 1: c = String.fromCharCode(readBits(16)); break;
+      default: return '';
+    }
+    dictionary[3] = c;
+    let w = c;
+    result.push(c);
+
+    while (true) {
+      if (data.index > length) return '';
+      let code = readBits(numBits);
+      if (code === 0 || code === 1) {
+        dictionary[dictSize++] = String.fromCharCode(readBits(code === 0 ? 8 : 16));
+        code = dictSize - 1;
+        enlargeIn--;
+      } else if (code === 2) {
+        return result.join('');
+      }
+      if (enlargeIn === 0) {
+        enlargeIn = Math.pow(2, numBits);
+        numBits++;
+      }
+
+      let entry;
+      if (dictionary[code]) {
+        entry = dictionary[code];
+      } else if (code === dictSize) {
+        entry = w + w.charAt(0);
+      } else {
+        return null;
+      }
+      result.push(entry);
+      dictionary[dictSize++] = w + entry.charAt(0);
+      enlargeIn--;
+      w = entry;
+      if (enlargeIn === 0) {
+        enlargeIn = Math.pow(2, numBits);
+        numBits++;
+      }
+    }
+  }
+
+  function compressToBase64(input) {
+    const compressed = lzCompress(input, 6, value => BASE64_ALPHABET.charAt(value));
+    return compressed + '==='.substring(0, (4 - (compressed.length % 4)) % 4);
+  }
+
+  function decompressFromBase64(input) {
+    return lzDecompress(input.length, 32, index => BASE64_ALPHABET.indexOf(input.charAt(index)));
+  }
+
+  // Serialise a board for FIELD_MAPPING.boardData, compressing it (when enabled) if that makes it meaningfully smaller
+  function encodeBoardData(board) {
+    const json = JSON.stringify(board || {});
+    if (window.VESPA_APPS.taskboards.compressBoardData !== true || json.length < BOARD_COMPRESSION_MIN_LENGTH) {
+      return json;
+    }
+    const compressed = COMPRESSED_BOARD_PREFIX + compressToBase64(json);
+    if (compressed.length >= json.length) return json;
+    console.log(`[Knack Script] Compressed board data from ${json.length} to ${compressed.length} characters.`);
+    return compressed;
+  }
+
+  // Decompress a field value written by encodeBoardData. Values without the marker are returned unchanged.
+  function decodeCompressedField(value) {
+    if (typeof value !== 'string' || !value.startsWith(COMPRESSED_BOARD_PREFIX)) return value;
+    const decompressed = decompressFromBase64(value.substring(COMPRESSED_BOARD_PREFIX.length));
+    if (!decompressed) {
+      console.error("VESPA TaskBoard: Failed to decompress board data.");
+      return null;
+    }
+    return decompressed;
+  }
+
+  // --- Board Merge ---
+  // Three-way merge of board JSON. Each top-level key of the board is merged separately. Arrays of
+  // objects with an `id` (tasks, columns) and plain objects (id -> item maps) are merged item by item;
+  // an item changed differently on both sides is a conflict. Any other value is merged as a whole.
+
+  // JSON string with sorted keys, so equal values compare equal regardless of key order
+  function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return value === undefined ? 'undefined' : JSON.stringify(value);
+  }
+
+  function isSameValue(a, b) {
+    return stableStringify(a) === stableStringify(b);
+  }
+
+  // True for an array whose entries are all objects with an id
+  function isIdCollection(value) {
+    return Array.isArray(value) && value.every(item => item && typeof item === 'object' && item.id !== undefined && item.id !== null);
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Picks the result for one value given base, local and remote versions. Returns { value } or { conflict: true }.
+  function mergeValue(base, local, remote) {
+    if (isSameValue(local, remote)) return { value: local };
+    if (isSameValue(local, base)) return { value: remote };
+    if (isSameValue(remote, base)) return { value: local };
+    return { conflict: true };
+  }
+
+  // Merges an array of id'd items (or an id -> item map). Item order follows whichever side reordered.
+  function mergeCollection(collectionName, base, local, remote, conflicts) {
+    const asArray = Array.isArray(local) || Array.isArray(remote);
+    const toMap = (collection) => {
+      const map = new Map();
+      if (Array.isArray(collection)) collection.forEach(item => map.set(String(item.id), item));
+      else if (isPlainObject(collection)) Object.keys(collection).forEach(key => map.set(key, collection[key]));
+      return map;
+    };
+    const baseMap = toMap(base);
+    const localMap = toMap(local);
+    const remoteMap = toMap(remote);
+
+    const localOrder = Array.from(localMap.keys());
+    const remoteOrder = Array.from(remoteMap.keys());
+    const baseOrder = Array.from(baseMap.keys());
+    const localReordered = !isSameValue(localOrder.filter(id => baseMap.has(id)), baseOrder.filter(id => localMap.has(id)));
+    const preferRemoteOrder = !localReordered;
+    const order = preferRemoteOrder
+      ? remoteOrder.concat(localOrder.filter(id => !remoteMap.has(id)))
+      : localOrder.concat(remoteOrder.filter(id => !localMap.has(id)));
+
+    const mergedItems = [];
+    order.forEach(id => {
+      const result = mergeValue(baseMap.get(id), localMap.get(id), remoteMap.get(id));
+      if (result.conflict) {
+        const item = localMap.get(id) || remoteMap.get(id) || baseMap.get(id);
+        conflicts.push({ collection: collectionName, id: asArray && item && item.id !== undefined ? item.id : id, base: baseMap.get(id), local: localMap.get(id), remote: remoteMap.get(id) });
+        // Keep the local item so the merged draft stays usable for the app
+        if (localMap.has(id)) mergedItems.push([id, localMap.get(id)]);
+      } else if (result.value !== undefined) {
+        mergedItems.push([id, result.value]);
+      }
+    });
+
+    if (asArray) return mergedItems.map(entry => entry[1]);
+    const mergedMap = {};
+    mergedItems.forEach(([id, item]) => { mergedMap[id] = item; });
+    return mergedMap;
+  }
+
+  // Three-way merge of two edited boards against the board both started from. Returns { merged, conflicts }.
+  function mergeBoards(base, local, remote) {
+    base = isPlainObject(base) ? base : {};
+    local = isPlainObject(local) ? local : {};
+    remote = isPlainObject(remote) ? remote : {};
+    const conflicts = [];
+    const merged = {};
+
+    const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+    keys.forEach(key => {
+      const result = mergeValue(base[key], local[key], remote[key]);
+      if (!result.conflict) {
+        if (result.value !== undefined) merged[key] = result.value;
+        return;
+      }
+      const collections = [base[key], local[key], remote[key]].filter(value => value !== undefined);
+      if (collections.every(isIdCollection) || collections.every(isPlainObject)) {
+        merged[key] = mergeCollection(key, base[key], local[key], remote[key], conflicts);
+      } else {
+        conflicts.push({ collection: null, id: key, base: base[key], local: local[key], remote: remote[key] });
+        merged[key] = local[key];
+      }
+    });
+
+    return { merged, conflicts };
+  }
+
+  // --- JSON Patch (RFC 6902) ---
+
+  // Create an INVALID_PATCH error for operation `index`
+  function patchError(index, message) {
+    const error = new Error(`Patch operation ${index}: ${message}`);
+    error.code = 'INVALID_PATCH';
+    return error;
+  }
+
+  const UNSAFE_PATCH_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+  // Split a JSON Pointer (RFC 6901) into unescaped tokens
+  function parseJsonPointer(pointer, index) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || pointer.charAt(0) !== '/') {
+      throw patchError(index, `invalid path "${pointer}"`);
+    }
+    const tokens = pointer.substring(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    // Writing through these keys would reach Object.prototype rather than the board
+    const unsafe = tokens.find(token => UNSAFE_PATCH_TOKENS.includes(token));
+    if (unsafe !== undefined) throw patchError(index, `path segment "${unsafe}" is not allowed`);
+    return tokens;
+  }
+
+  // True if an object has the key, or an array has the index
+  function hasPatchChild(container, token) {
+    if (Array.isArray(container)) return /^\d+$/.test(token) && Number(token) < container.length;
+    return Object.prototype.hasOwnProperty.call(container, token);
+  }
+
+  // Resolve the parent container and final key of a pointer
+  function resolvePatchTarget(documentRoot, tokens, index) {
+    let parent = documentRoot;
+    for (let i = 0; i < tokens.length - 1; i++) {
+      const token = tokens[i];
+      if (parent === null || typeof parent !== 'object' || !hasPatchChild(parent, token)) {
+        throw patchError(index, `path segment "${token}" does not exist`);
+      }
+      parent = parent[token];
+    }
+    if (parent === null || typeof parent !== 'object') {
+      throw patchError(index, 'parent of target is not an object or array');
+    }
+    return { parent, key: tokens[tokens.length - 1] };
+  }
+
+  // Read the value at a pointer
+  function getPatchValue(documentRoot, pointer, index) {
+    const tokens = parseJsonPointer(pointer, index);
+    if (tokens.length === 0) return documentRoot;
+    const { parent, key } = resolvePatchTarget(documentRoot, tokens, index);
+    if (!hasPatchChild(parent, key)) throw patchError(index, `path "${pointer}" does not exist`);
+    return parent[key];
+  }
+
+  // Apply one add/remove/replace at a pointer, returning the (possibly new) document root
+  function writePatchValue(documentRoot, pointer, op, value, index) {
+    const tokens = parseJsonPointer(pointer, index);
+    if (tokens.length === 0) {
+      if (op === 'remove') throw patchError(index, 'cannot remove the document root');
+      return value;
+    }
+    const { parent, key } = resolvePatchTarget(documentRoot, tokens, index);
+
+    if (Array.isArray(parent)) {
+      const position = key === '-' && op === 'add' ? parent.length : Number(key);
+      if (!/^\d+$/.test(key) && key !== '-') throw patchError(index, `invalid array index "${key}"`);
+      const limit = op === 'add' ? parent.length : parent.length - 1;
+      if (isNaN(position) || position > limit) throw patchError(index, `array index ${key} out of bounds`);
+      if (op === 'add') parent.splice(position, 0, value);
+      else if (op === 'remove') parent.splice(position, 1);
+      else parent[position] = value;
+      return documentRoot;
+    }
+
+    const exists = Object.prototype.hasOwnProperty.call(parent, key);
+    if (op !== 'add' && !exists) throw patchError(index, `path "${pointer}" does not exist`);
+    if (op === 'remove') delete parent[key];
+    else parent[key] = value;
+    return documentRoot;
+  }
+
+  // Apply a list of RFC 6902 operations to a copy of a document. Throws an INVALID_PATCH error if any operation fails.
+  function applyJsonPatch(documentRoot, operations) {
+    let result = JSON.parse(JSON.stringify(documentRoot));
+    const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+    operations.forEach((operation, index) => {
+      switch (operation.op) {
+        case 'add':
+        case 'replace':
+          if (!('value' in operation)) throw patchError(index, `"${operation.op}" requires a value`);
+          result = writePatchValue(result, operation.path, operation.op, copy(operation.value), index);
+          break;
+        case 'remove':
+          result = writePatchValue(result, operation.path, 'remove', undefined, index);
+          break;
+        case 'move': {
+          if (operation.path === operation.from || operation.path.indexOf(`${operation.from}/`) === 0) {
+            if (operation.path !== operation.from) throw patchError(index, 'cannot move a value into one of its children');
+            break;
+          }
+          const value = getPatchValue(result, operation.from, index);
+          result = writePatchValue(result, operation.from, 'remove', undefined, index);
+          result = writePatchValue(result, operation.path, 'add', value, index);
+          break;
+        }
+        case 'copy':
+          result = writePatchValue(result, operation.path, 'add', copy(getPatchValue(result, operation.from, index)), index);
+          break;
+        case 'test':
+          if (!isSameValue(getPatchValue(result, operation.path, index), operation.value)) {
+            throw patchError(index, `test failed at "${operation.path}"`);
+          }
+          break;
+        default:
+          throw patchError(index, `unknown op "${operation.op}"`);
+      }
+    });
+    return result;
+  }
+
+  // --- Pending Save Store (IndexedDB) ---
+  // Keeps a durable copy of every queued save so it survives a closed tab or lost connection.
+  // All methods fail soft: if IndexedDB is unavailable the SaveQueue carries on in memory only.
+  class PendingSaveStore {
+    constructor(dbName = 'vespa-taskboard', storeName = 'pendingSaves') {
+      this.dbName = dbName;
+      this.storeName = storeName;
+      this.dbPromise = null;
+    }
+
+    // Opens (and creates on first use) the database
+    open() {
+      if (this.dbPromise) return this.dbPromise;
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error("IndexedDB is not available in this browser"));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        console.warn("[PendingSaveStore] Could not open IndexedDB. Pending saves will not survive a page reload.", error);
+        return null;
+      });
+      return this.dbPromise;
+    }
+
+    // Runs a single request against the object store and resolves with its result
+    async runRequest(mode, makeRequest) {
+      const db = await this.open();
+      if (!db) return null;
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = makeRequest(transaction.objectStore(this.storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted"));
+      });
+    }
+
+    // Stores a pending operation and resolves with its id (null if it could not be stored)
+    async add(record) {
+      try {
+        return await this.runRequest('readwrite', store => store.add(record));
+      } catch (error) {
+        console.warn("[PendingSaveStore] Failed to persist pending save:", error);
+        return null;
+      }
+    }
+
+    // Removes a pending operation once it no longer needs replaying
+    async remove(id) {
+      if (id === null || id === undefined) return;
+      try {
+        await this.runRequest('readwrite', store => store.delete(id));
+      } catch (error) {
+        console.warn(`[PendingSaveStore] Failed to remove pending save ${id}:`, error);
+      }
+    }
+
+    // Returns all stored operations in the order they were queued
+    async getAll() {
+      try {
+        const records = await this.runRequest('readonly', store => store.getAll());
+        return (records || []).sort((a, b) => a.id - b.id);
+      } catch (error) {
+        console.warn("[PendingSaveStore] Failed to read pending saves:", error);
+        return [];
+      }
+    }
+  }
+
+  // Short description of what changed between two boards, e.g. "tasks: 1 added, 2 changed; title changed"
+  function summarizeBoardChanges(before, after) {
+    before = isPlainObject(before) ? before : {};
+    after = isPlainObject(after) ? after : {};
+    const parts = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      if (isSameValue(before[key], after[key])) return;
+      const pair = [before[key], after[key]].filter(value => value !== undefined);
+      if (pair.every(isIdCollection) || pair.every(isPlainObject)) {
+        const toMap = (collection) => new Map(Array.isArray(collection)
+          ? collection.map(item => [String(item.id), item])
+          : Object.keys(collection || {}).map(itemKey => [itemKey, collection[itemKey]]));
+        const beforeMap = toMap(before[key]);
+        const afterMap = toMap(after[key]);
+        let added = 0, removed = 0, changed = 0;
+        afterMap.forEach((item, id) => {
+          if (!beforeMap.has(id)) added++;
+          else if (!isSameValue(beforeMap.get(id), item)) changed++;
+        });
+        beforeMap.forEach((item, id) => { if (!afterMap.has(id)) removed++; });
+        const counts = [];
+        if (added) counts.push(`${added} added`);
+        if (removed) counts.push(`${removed} removed`);
+        if (changed) counts.push(`${changed} changed`);
+        parts.push(`${key}: ${counts.length ? counts.join(', ') : 'reordered'}`);
+      } else {
+        parts.push(`${key} changed`);
+      }
+    });
+    return parts.length ? parts.join('; ') : 'No changes';
+  }
+
+  // --- Chunked Board Storage ---
+  // Boards whose encoded boardData is longer than the chunk size are split across records of a separate Knack
+  // object, and boardData holds a manifest instead. Enabled by VESPA_APPS.taskboards.chunks:
+  //   { object: 'object_x', size: 30000, fields: { taskboard: 'field_a', writeId: 'field_b', index: 'field_c', data: 'field_d' } }
+  // Chunks are written before the manifest, so an interrupted save leaves the previous board in place.
+  const CHUNK_MANIFEST_PREFIX = 'CHUNKED:';
+
+  // 32-bit FNV-1a hash of a string, as 8 hex characters
+  function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  // Hash identifying a board's content: hashString of its stableStringify form. SAVE_PATCH sends it for the board
+  // the patch was made against.
+  function boardHash(board) {
+    return hashString(stableStringify(board));
+  }
+
+  function isChunkManifest(value) {
+    return typeof value === 'string' && value.startsWith(CHUNK_MANIFEST_PREFIX);
+  }
+
+  class ChunkStore {
+    constructor(config, client) {
+      this.config = config && config.object && config.fields ? config : null;
+      this.client = client;
+      this.chunkSize = (this.config && this.config.size) || 30000;
+      // Records seen with chunked boards in this session; only these need stale chunk clean-up
+      this.chunkedRecords = new Set();
+    }
+
+    isEnabled() {
+      return !!this.config;
+    }
+
+    // True if an encoded board is too big for a single field and should be chunked
+    shouldChunk(encoded) {
+      return this.isEnabled() && encoded.length > this.chunkSize;
+    }
+
+    // Lists chunk records for a taskboard record, optionally only those of one write
+    async fetchChunks(recordId, writeId) {
+      const fields = this.config.fields;
+      const rules = [{ field: fields.taskboard, operator: 'is', value: recordId }];
+      if (writeId) rules.push({ field: fields.writeId, operator: 'is', value: writeId });
+      return this.client.find(this.config.object, { match: 'and', rules: rules }, { rows_per_page: 1000 });
+    }
+
+    // Writes the chunks of an encoded board. Returns the write id and the manifest to store in boardData.
+    async write(recordId, encoded) {
+      const fields = this.config.fields;
+      const writeId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+      const count = Math.ceil(encoded.length / this.chunkSize);
+      console.log(`[ChunkStore] Writing board for record ${recordId} as ${count} chunk(s) (write ${writeId})`);
+      for (let index = 0; index < count; index++) {
+        // Written from inside a queued save, which handleSaveError retries as a whole
+        await this.client.create(this.config.object, {
+          [fields.taskboard]: recordId,
+          [fields.writeId]: writeId,
+          [fields.index]: index,
+          [fields.data]: encoded.substring(index * this.chunkSize, (index + 1) * this.chunkSize)
+        }, { retry: { maxAttempts: 1 } });
+      }
+      this.chunkedRecords.add(recordId);
+      return {
+        writeId: writeId,
+        manifest: CHUNK_MANIFEST_PREFIX + JSON.stringify({ writeId: writeId, count: count, length: encoded.length, checksum: hashString(encoded) })
+      };
+    }
+
+    // Reassembles the encoded board a manifest points to. Throws if any chunk is missing or the content does not match.
+    async read(recordId, manifestValue) {
+      const manifest = safeParseJSON(manifestValue.substring(CHUNK_MANIFEST_PREFIX.length));
+      if (!manifest || !manifest.writeId || !manifest.count) {
+        throw this.integrityError(recordId, 'chunk manifest is unreadable');
+      }
+      if (!this.isEnabled()) {
+        throw this.integrityError(recordId, 'board is chunked but chunk storage is not configured');
+      }
+      const fields = this.config.fields;
+      this.chunkedRecords.add(recordId);
+      const chunks = await this.fetchChunks(recordId, manifest.writeId);
+      const byIndex = new Map();
+      chunks.forEach(chunk => byIndex.set(Number(chunk[fields.index]), chunk[fields.data] || ''));
+      const parts = [];
+      for (let index = 0; index < manifest.count; index++) {
+        if (!byIndex.has(index)) {
+          throw this.integrityError(recordId, `chunk ${index + 1} of ${manifest.count} is missing`);
+        }
+        parts.push(byIndex.get(index));
+      }
+      const encoded = parts.join('');
+      if (encoded.length !== manifest.length || hashString(encoded) !== manifest.checksum) {
+        throw this.integrityError(recordId, 'reassembled board does not match its checksum');
+      }
+      return encoded;
+    }
+
+    // Deletes chunks of earlier writes once a newer write has been saved. Best-effort.
+    async removeStaleChunks(recordId, keepWriteId) {
+      if (!this.isEnabled() || !this.chunkedRecords.has(recordId)) return;
+      if (!keepWriteId) this.chunkedRecords.delete(recordId);
+      try {
+        const chunks = await this.fetchChunks(recordId);
+        const stale = chunks.filter(chunk => chunk[this.config.fields.writeId] !== keepWriteId);
+        for (const chunk of stale) {
+          await this.client.delete(this.config.object, chunk.id);
+        }
+        if (stale.length) console.log(`[ChunkStore] Removed ${stale.length} stale chunk(s) for record ${recordId}`);
+      } catch (error) {
+        console.warn(`[ChunkStore] Failed to remove stale chunks for record ${recordId}:`, error);
+      }
+    }
+
+    integrityError(recordId, reason) {
+      const error = new Error(`Board for record ${recordId} could not be reassembled: ${reason}`);
+      error.code = 'CHUNK_INTEGRITY';
+      return error;
+    }
   }
 
-  // Generic retry function for API calls
-  function retryApiCall(apiCall, maxRetries = 3, delay = 1000) {
-    return new Promise((resolve, reject) => {
-      const attempt = (retryCount) => {
-        apiCall()
-          .then(resolve)
-          .catch((error) => {
-            const attemptsMade = retryCount + 1;
-            console.warn(`API call failed (Attempt ${attemptsMade}/${maxRetries}):`, error.status, error.statusText, error.responseText);
+  // Read the board from a TaskBoard record, reassembling chunked boards. Returns null for an empty field.
+  // Throws CHUNK_INTEGRITY errors for partial writes and BOARD_CORRUPTED errors for values that are not a board.
+  async function readBoardField(record) {
+    const value = record ? record[FIELD_MAPPING.boardData] : undefined;
+    const encoded = isChunkManifest(value) ? await chunkStore.read(record.id, value) : value;
+    if (encoded === undefined || encoded === null || encoded === '') return null;
+    const board = parseRecordField({ [FIELD_MAPPING.boardData]: encoded }, FIELD_MAPPING.boardData);
+    if (!isPlainObject(board)) {
+      const error = new Error(`Board data for record ${record.id} could not be parsed`);
+      error.code = 'BOARD_CORRUPTED';
+      throw error;
+    }
+    return board;
+  }
 
-            if (retryCount < maxRetries - 1) {
-              const retryDelay = delay * Math.pow(2, retryCount);
-              console.log(`Retrying API call in ${retryDelay}ms...`);
-              setTimeout(() => attempt(retryCount + 1), retryDelay);
-            } else {
-              console.error(`API call failed after ${maxRetries} attempts.`);
-              reject(error);
-            }
-          });
-      };
-      attempt(0);
+  // --- Board Quarantine ---
+  // Records whose board could not be read. The raw value is kept, the app is sent BOARD_CORRUPTED, and saves to
+  // the record are refused until the app picks a recovery action with RECOVER_BOARD. Without this the app would
+  // get an empty board and its next save would overwrite data that may still be recoverable.
+  const BOARD_RECOVERY_ACTIONS = ['reload', 'restoreRevision', 'replace'];
+  const quarantinedBoards = new Map();
+
+  // Quarantine a record after readBoardField failed. Returns the quarantine entry.
+  function quarantineBoard(record, error) {
+    const rawValue = record[FIELD_MAPPING.boardData];
+    const existing = quarantinedBoards.get(record.id);
+    const entry = {
+      recordId: record.id,
+      code: error.code,
+      reason: error.message,
+      rawValue: rawValue,
+      lastSaved: record[FIELD_MAPPING.lastSaved],
+      detectedAt: new Date().toISOString(),
+      // The same unreadable value is only reported to the app once
+      reported: !!(existing && existing.reported && existing.rawValue === rawValue)
+    };
+    quarantinedBoards.set(record.id, entry);
+    console.error(`[Knack Script] Quarantined board for record ${record.id}: ${error.message}`);
+    return entry;
+  }
+
+  // Recovery actions available in this deployment
+  function getBoardRecoveryOptions() {
+    return BOARD_RECOVERY_ACTIONS.filter(action => action !== 'restoreRevision' || revisionHistory.isEnabled());
+  }
+
+  // Send BOARD_CORRUPTED for quarantined records the app has not been told about yet
+  function reportCorruptedBoards() {
+    if (!connectedAppWindow) return;
+    quarantinedBoards.forEach(entry => {
+      if (entry.reported) return;
+      entry.reported = true;
+      postToApp(connectedAppWindow, {
+        type: 'BOARD_CORRUPTED',
+        recordId: entry.recordId,
+        code: entry.code,
+        error: entry.reason,
+        rawValue: entry.rawValue,
+        lastSaved: entry.lastSaved,
+        detectedAt: entry.detectedAt,
+        recoveryOptions: getBoardRecoveryOptions(),
+        timestamp: new Date().toISOString()
+      });
     });
   }
 
-  // Function to refresh authentication
-  function refreshAuthentication() {
-    return new Promise((resolve, reject) => {
+  // --- Revision History ---
+  // Keeps a copy of each saved board in a separate Knack object, trimmed to the newest `limit` revisions per
+  // taskboard record. Enabled by VESPA_APPS.taskboards.revisions:
+  //   { object: 'object_x', limit: 20, fields: { taskboard: 'field_a', boardData: 'field_b', savedAt: 'field_c', summary: 'field_d' } }
+  // where `taskboard` is a connection to the TaskBoard object.
+  class RevisionHistory {
+    constructor(config, client) {
+      this.config = config && config.object && config.fields ? config : null;
+      this.client = client;
+      this.limit = (this.config && this.config.limit) || 20;
+    }
+
+    isEnabled() {
+      return !!this.config;
+    }
+
+    // Lists revision records for a taskboard record, newest first
+    async fetchRevisionRecords(recordId, rowsPerPage) {
+      const fields = this.config.fields;
+      return this.client.find(this.config.object, {
+        match: 'and',
+        rules: [{ field: fields.taskboard, operator: 'is', value: recordId }]
+      }, {
+        rows_per_page: rowsPerPage,
+        sort_field: fields.savedAt,
+        sort_order: 'desc'
+      });
+    }
+
+    // Stores a revision after a successful save, then trims the oldest beyond the limit
+    async record(recordId, board, previousBoard, savedAt) {
+      if (!this.isEnabled()) return;
+      const fields = this.config.fields;
       try {
-        const currentToken = Knack.getUserToken();
-        if (currentToken) {
-          console.log(`Auth token available via Knack.getUserToken()`);
-          resolve(currentToken);
-        } else {
-          console.error(`Cannot get auth token - Knack.getUserToken() returned null`);
-          reject(new Error("Auth token not available"));
+        await this.client.create(this.config.object, {
+          [fields.taskboard]: recordId,
+          [fields.boardData]: encodeBoardData(board),
+          [fields.savedAt]: savedAt || new Date().toISOString(),
+          [fields.summary]: summarizeBoardChanges(previousBoard, board)
+        });
+        const revisions = await this.fetchRevisionRecords(recordId, this.limit + 20);
+        const expired = revisions.slice(this.limit);
+        for (const revision of expired) {
+          await this.client.delete(this.config.object, revision.id);
         }
+        if (expired.length) console.log(`[RevisionHistory] Removed ${expired.length} old revision(s) for record ${recordId}`);
       } catch (error) {
-        console.error(`Error getting auth token:`, error);
-        reject(error);
+        // History is best-effort; it must never fail the save it records
+        console.error(`[RevisionHistory] Failed to store revision for record ${recordId}:`, error);
       }
-    });
+    }
+
+    // Stores an unreadable board value unchanged, so it survives a recovery that overwrites the record
+    async archiveRaw(recordId, rawValue) {
+      const fields = this.config.fields;
+      await this.client.create(this.config.object, {
+        [fields.taskboard]: recordId,
+        [fields.boardData]: rawValue,
+        [fields.savedAt]: new Date().toISOString(),
+        [fields.summary]: 'Unreadable board kept before recovery'
+      });
+      console.log(`[RevisionHistory] Archived unreadable board for record ${recordId}`);
+    }
+
+    // Returns [{ id, savedAt, summary }] for a taskboard record, newest first
+    async list(recordId) {
+      const fields = this.config.fields;
+      const revisions = await this.fetchRevisionRecords(recordId, this.limit);
+      return revisions.map(revision => ({
+        id: revision.id,
+        savedAt: revision[fields.savedAt],
+        summary: revision[fields.summary] || ''
+      }));
+    }
+
+    // Returns the board stored in a revision, checking it belongs to the taskboard record
+    async getBoard(recordId, revisionId) {
+      const fields = this.config.fields;
+      const revision = await this.client.get(this.config.object, revisionId);
+      const owner = extractValidRecordId(revision && revision[fields.taskboard]);
+      if (owner !== recordId) {
+        throw new Error(`Revision ${revisionId} does not belong to record ${recordId}`);
+      }
+      const board = parseRecordField(revision, fields.boardData);
+      if (!isPlainObject(board)) {
+        throw new Error(`Revision ${revisionId} does not contain a readable board`);
+      }
+      return { board, savedAt: revision[fields.savedAt] };
+    }
   }
 
-  // Handle token refresh request from React app
-  function handleTokenRefresh(iframeWindow) {
-    console.log("Handling token refresh request from React app");
-    try {
-      const currentToken = Knack.getUserToken();
-      if (!currentToken) {
-        console.error("Cannot get token from Knack");
-        if (iframeWindow) iframeWindow.postMessage({ type: "AUTH_REFRESH_RESULT", success: false, error: "Token not available from Knack" }, "*");
+  // --- Field Mapping Validation ---
+  // FIELD_MAPPING is checked before any record is loaded or written. A duplicated field id (as in the 1a-1c
+  // scripts, where account and the board JSON both pointed at field_3052) makes one value overwrite another, so
+  // any problem disables loading and saving with a diagnostic instead.
+  const FIELD_MAPPING_TYPES = {
+    userId: ['short_text'],
+    userEmail: ['email', 'short_text'],
+    userName: ['name', 'short_text'],
+    boardData: ['paragraph_text', 'rich_text'],
+    lastSaved: ['date_time', 'short_text'],
+    account: ['connection'],
+    vespaCustomer: ['connection']
+  };
+
+  // Problems found without the API: missing or duplicated field ids
+  function findFieldMappingProblems(mapping) {
+    const problems = [];
+    const keysByField = new Map();
+    Object.keys(FIELD_MAPPING_TYPES).forEach(key => {
+      const fieldId = mapping[key];
+      if (!fieldId || !/^field_\d+$/.test(fieldId)) {
+        problems.push(`FIELD_MAPPING.${key} must be a Knack field id like field_123, got ${JSON.stringify(fieldId)}`);
         return;
       }
-      // Send the current token back
-      if (iframeWindow) iframeWindow.postMessage({ type: "AUTH_REFRESH_RESULT", success: true, token: currentToken }, "*");
-      console.log("Successfully sent current token for refresh");
-    } catch (error) {
-      console.error("Error refreshing token:", error);
-      if (iframeWindow) iframeWindow.postMessage({ type: "AUTH_REFRESH_RESULT", success: false, error: error.message || "Unknown error refreshing token" }, "*");
+      if (keysByField.has(fieldId)) {
+        problems.push(`FIELD_MAPPING.${key} and FIELD_MAPPING.${keysByField.get(fieldId)} both use ${fieldId}`);
+        return;
+      }
+      keysByField.set(fieldId, key);
+    });
+    return problems;
+  }
+
+  // Problems found against the object's schema: fields missing from the object or of the wrong type
+  function findSchemaProblems(mapping, objectKey, objectSchema) {
+    const fields = new Map(((objectSchema && objectSchema.fields) || []).map(field => [field.key, field]));
+    const problems = [];
+    Object.keys(FIELD_MAPPING_TYPES).forEach(key => {
+      const fieldId = mapping[key];
+      const field = fields.get(fieldId);
+      if (!field) {
+        problems.push(`FIELD_MAPPING.${key} (${fieldId}) does not exist on ${objectKey}`);
+      } else if (!FIELD_MAPPING_TYPES[key].includes(field.type)) {
+        problems.push(`FIELD_MAPPING.${key} (${fieldId}, "${field.name}") is a ${field.type} field; expected ${FIELD_MAPPING_TYPES[key].join(' or ')}`);
+      }
+    });
+    return problems;
+  }
+
+  // Problems known so far; loading and saving are refused while this is not empty
+  const fieldMappingProblems = findFieldMappingProblems(FIELD_MAPPING);
+  fieldMappingProblems.forEach(problem => console.error(`[Knack Script] Invalid field mapping: ${problem}`));
+  let fieldMappingCheck = null;
+
+  // Checks FIELD_MAPPING against the TaskBoard object's schema once per page. Resolves with all problems found.
+  // Only the object-based API can read schemas; in other modes just the local checks apply.
+  function checkFieldMapping() {
+    if (!fieldMappingCheck) {
+      fieldMappingCheck = (async () => {
+        if (fieldMappingProblems.length === 0 && typeof knackClient.getObject === 'function' && KNACK_API_MODE === 'object') {
+          try {
+            const objectSchema = await knackClient.getObject(TASKBOARD_OBJECT);
+            const problems = findSchemaProblems(FIELD_MAPPING, TASKBOARD_OBJECT, objectSchema);
+            problems.forEach(problem => console.error(`[Knack Script] Invalid field mapping: ${problem}`));
+            fieldMappingProblems.push(...problems);
+          } catch (error) {
+            console.warn(`[Knack Script] Could not load the ${TASKBOARD_OBJECT} schema to check FIELD_MAPPING:`, error.message || error);
+          }
+        }
+        return fieldMappingProblems.slice();
+      })();
+    }
+    return fieldMappingCheck;
+  }
+
+  // --- Save Operation Types ---
+  // Maps a SaveQueue operation type to how its payload is written to the TaskBoard record:
+  //   serialize(data, operation) - returns { fieldKey: value } to write; may be async. data is already JSON-safe.
+  //   field                      - shorthand for types stored as JSON in a single field (instead of serialize)
+  //   preserve                   - field keys copied from the existing record when a save sets preserveFields
+  //   board                      - true when the payload is the board itself. Only board types get conflict
+  //                                checks, merging, snapshots, revision history and keepalive flushing.
+  const saveOperationTypes = new Map();
+
+  // Register (or replace) a save operation type
+  function registerSaveOperationType(type, definition) {
+    if (!type || typeof type !== 'string') {
+      throw new Error("Save operation type must be a non-empty string");
     }
+    if (!definition || (typeof definition.serialize !== 'function' && !definition.field)) {
+      throw new Error(`Save operation type ${type} needs a serialize function or a field`);
+    }
+    const serialize = definition.serialize || (data => ({ [definition.field]: JSON.stringify(data) }));
+    saveOperationTypes.set(type, {
+      serialize: serialize,
+      preserve: Array.isArray(definition.preserve) ? definition.preserve : [],
+      board: definition.board === true
+    });
+    console.log(`[SaveQueue] Registered save operation type: ${type}`);
   }
 
+  // True for operations whose payload is the board
+  function isBoardOperation(operation) {
+    const definition = operation && saveOperationTypes.get(operation.type);
+    return !!(definition && definition.board);
+  }
+
+  const boardOperationType = {
+    board: true,
+    preserve: [FIELD_MAPPING.boardData, FIELD_MAPPING.vespaCustomer],
+    async serialize(data, operation) {
+      // Merged, replayed and restored boards reach this point without passing through queueBoardSave
+      const board = stampBoardSchemaVersion(data || {});
+      const violations = validateBoard(board);
+      if (violations.length > 0) throw createInvalidBoardError(violations);
+      const encoded = encodeBoardData(board);
+      if (!chunkStore.shouldChunk(encoded)) {
+        operation.chunkWriteId = null;
+        return { [FIELD_MAPPING.boardData]: encoded };
+      }
+      const chunkWrite = await chunkStore.write(operation.recordId, encoded);
+      operation.chunkWriteId = chunkWrite.writeId;
+      return { [FIELD_MAPPING.boardData]: chunkWrite.manifest };
+    }
+  };
+  registerSaveOperationType('taskBoard', boardOperationType);
+  registerSaveOperationType('taskboard', boardOperationType); // Name used by the older 1a-1c scripts
+
+  // Additional types from the embedding page, e.g. { preferences: { field: 'field_x', preserve: [...] } }
+  const configuredSaveTypes = window.VESPA_APPS.taskboards.saveTypes || {};
+  Object.keys(configuredSaveTypes).forEach(type => {
+    try {
+      registerSaveOperationType(type, configuredSaveTypes[type]);
+    } catch (error) {
+      console.error(`[SaveQueue] Ignoring save type ${type} from VESPA_APPS.taskboards.saveTypes:`, error.message);
+    }
+  });
+
+  // Save errors that retrying cannot fix; the operation is not kept for retryFailed
+  const SAVE_ERRORS_NEEDING_APP = ['SAVE_CONFLICT', 'INVALID_BOARD', 'EMPTY_BOARD_NEEDS_CONFIRM'];
+
   // --- Save Queue Class ---
   class SaveQueue {
-    constructor() {
+    constructor(pendingStore = null, revisionHistory = null, client = knackClient) {
+      this.client = client;
       this.queue = [];
       this.isSaving = false;
       this.retryAttempts = new Map();
-      this.maxRetries = 3;
-      this.retryDelay = 1000;
+      this.pendingStore = pendingStore;
+      this.revisionHistory = revisionHistory;
+      // recordId -> { bases, latest }: lastSaved values written by this session (see checkForConflict)
+      this.writtenVersions = new Map();
+      // recordId -> board last delivered to the app or saved (see setBaseSnapshot)
+      this.baseSnapshots = new Map();
+      // recordId -> lastSaved of that board; stored with queued saves so a replay can be conflict-checked
+      this.baseVersions = new Map();
+      // Stored operations kept after a replay conflicted, until the app has been told (see releaseStoredOperation)
+      this.heldOperationIds = new Set();
+      // Operations that failed after their retries, kept so they can be retried by hand (see retryFailed)
+      this.failedOperations = [];
+      this.listeners = new Set();
+    }
+
+    // Registers a listener for queue events ('queued', 'saving', 'saved', 'retrying', 'failed', 'restored').
+    // Returns a function that removes it.
+    subscribe(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
+
+    emit(event, operation = null) {
+      const detail = { event: event, operation: operation, queueLength: this.queue.length, failedCount: this.failedOperations.length };
+      this.listeners.forEach(listener => {
+        try {
+          listener(detail);
+        } catch (error) {
+          console.error(`[SaveQueue] Listener for '${event}' threw:`, error);
+        }
+      });
     }
 
     // Adds an operation to the queue
@@ -233,19 +1768,200 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
           console.error("[SaveQueue] Invalid operation added:", operation);
           return reject(new Error("Invalid save operation: missing type or recordId"));
         }
+        if (fieldMappingProblems.length > 0) {
+          const error = new Error(`Saving is disabled because FIELD_MAPPING is invalid: ${fieldMappingProblems.join('; ')}`);
+          error.code = 'FIELD_MAPPING_INVALID';
+          return reject(error);
+        }
+        if (quarantinedBoards.has(operation.recordId) && !operation.recovery) {
+          console.warn(`[SaveQueue] Refusing save for quarantined record ${operation.recordId}`);
+          const error = new Error(`Board for record ${operation.recordId} is unreadable. Choose a recovery action before saving.`);
+          error.code = 'BOARD_QUARANTINED';
+          return reject(error);
+        }
+
+        // Replayed and background saves carry older data, so they must never replace a queued payload
+        const pendingOperation = operation.restored || operation.background ? null : this.findCoalescableOperation(operation);
+        if (pendingOperation) {
+          this.coalesceOperation(pendingOperation, operation, resolve, reject);
+          this.emit('queued', pendingOperation);
+          return;
+        }
 
         const queuedOperation = {
           ...operation,
           resolve,
           reject,
-          timestamp: new Date().toISOString()
+          timestamp: operation.timestamp || new Date().toISOString()
         };
+        queuedOperation.persisted = operation.persistId !== undefined
+          ? Promise.resolve(operation.persistId)
+          : this.persistOperation(queuedOperation);
         this.queue.push(queuedOperation);
         console.log(`[SaveQueue] Added operation to queue: ${operation.type} for record ${operation.recordId}. Queue length: ${this.queue.length}`);
+        this.emit('queued', queuedOperation);
         this.processQueue();
       });
     }
 
+    // Finds a queued, not yet started operation for the same record and type that a new save can replace
+    findCoalescableOperation(operation) {
+      // While saving or waiting to retry, the head of the queue has been sent and its payload can no longer change
+      const firstWaitingIndex = this.isSaving ? 1 : 0;
+      for (let i = this.queue.length - 1; i >= firstWaitingIndex; i--) {
+        const queued = this.queue[i];
+        // Replayed edits may not be in the app's board, so an app save must not replace them
+        if (queued.recordId === operation.recordId && queued.type === operation.type && this.isAppOperation(queued)) {
+          return queued;
+        }
+      }
+      return null;
+    }
+
+    // True for saves the app made in this session (not replayed from IndexedDB or written in the background)
+    isAppOperation(operation) {
+      return !operation.restored && !operation.background;
+    }
+
+    // Replaces a queued operation's payload with a newer one. Every caller's promise settles with the surviving save.
+    coalesceOperation(queuedOperation, operation, resolve, reject) {
+      const previousResolve = queuedOperation.resolve;
+      const previousReject = queuedOperation.reject;
+      queuedOperation.resolve = (result) => { previousResolve(result); resolve(result); };
+      queuedOperation.reject = (error) => { previousReject(error); reject(error); };
+
+      queuedOperation.data = operation.data;
+      queuedOperation.expectedLastSaved = operation.expectedLastSaved;
+      queuedOperation.confirmEmpty = operation.confirmEmpty;
+      queuedOperation.preserveFields = queuedOperation.preserveFields || operation.preserveFields || false;
+      queuedOperation.timestamp = new Date().toISOString();
+      queuedOperation.coalescedCount = (queuedOperation.coalescedCount || 1) + 1;
+
+      // Swap the durable copy for the newer payload
+      this.forgetOperation(queuedOperation);
+      queuedOperation.persistId = undefined;
+      queuedOperation.persisted = this.persistOperation(queuedOperation);
+
+      console.log(`[SaveQueue] Coalesced ${operation.type} save for record ${operation.recordId} into queued operation (${queuedOperation.coalescedCount} saves combined). Queue length: ${this.queue.length}`);
+    }
+
+    // Writes a durable copy of the operation so it can be replayed after a reload or reconnect
+    async persistOperation(operation) {
+      // Background writes are redone from the record when needed, so they are not replayed
+      if (!this.pendingStore || operation.background) return null;
+      const boardOperation = isBoardOperation(operation);
+      const hasExpected = operation.expectedLastSaved !== undefined && operation.expectedLastSaved !== null;
+      const persistId = await this.pendingStore.add({
+        userId: window.currentKnackUser?.id || null,
+        type: operation.type,
+        recordId: operation.recordId,
+        preserveFields: operation.preserveFields || false,
+        confirmEmpty: operation.confirmEmpty || false,
+        // A replay in a later session is checked against the lastSaved the edits were made on, and merged against
+        // their base board; the host's own copy of both is used when the app did not send a lastSaved
+        expectedLastSaved: hasExpected || !boardOperation ? operation.expectedLastSaved : this.baseVersions.get(operation.recordId),
+        baseSnapshot: boardOperation ? (operation.restored ? operation.baseSnapshot : this.baseSnapshots.get(operation.recordId)) : undefined,
+        data: this.ensureSerializable(boardOperation ? operation.data || {} : operation.data),
+        timestamp: operation.timestamp
+      });
+      operation.persistId = persistId;
+      return persistId;
+    }
+
+    // Drops the durable copy of an operation that no longer needs replaying
+    forgetOperation(operation) {
+      if (!this.pendingStore || !operation.persisted) return;
+      operation.persisted.then(persistId => this.pendingStore.remove(persistId));
+    }
+
+    // Drops a stored operation that was held after its replay failed for good, once the app has its board
+    releaseStoredOperation(persistId) {
+      if (!this.heldOperationIds.delete(persistId)) return;
+      if (this.pendingStore) this.pendingStore.remove(persistId);
+    }
+
+    // Sends the newest queued board of each record with fetch keepalive requests, which the browser completes after
+    // the page is gone. Used on unload, when the queue's own requests would be cancelled; the conflict check is
+    // skipped because it needs a GET first. Boards that need chunking or do not fit in the keepalive budget stay
+    // in IndexedDB and are replayed on the next visit. Returns the number of records sent.
+    flushWithKeepalive() {
+      const latest = new Map();
+      this.queue.forEach(operation => {
+        if (isBoardOperation(operation)) latest.set(operation.recordId, operation);
+      });
+
+      let budget = KEEPALIVE_BODY_LIMIT;
+      let sent = 0;
+      latest.forEach(operation => {
+        if (quarantinedBoards.has(operation.recordId) && !operation.recovery) return;
+        // A keepalive write cannot be conflict-checked. Saves made against the version this session last saw are
+        // sent; others (replays, background writes, an unknown lastSaved) wait for replay.
+        if (!this.isAppOperation(operation) || !this.isKnownCurrentVersion(operation)) return;
+        // Boards the queue would reject or need to check against the record are left for replay
+        if (isBoardEmpty(operation.data) && !operation.confirmEmpty && !operation.recovery) return;
+        try {
+          const board = stampBoardSchemaVersion(this.ensureSerializable(operation.data || {}));
+          if (validateBoard(board).length > 0) return;
+          const encoded = encodeBoardData(board);
+          if (chunkStore.shouldChunk(encoded)) return;
+          const updateData = {
+            [FIELD_MAPPING.lastSaved]: new Date().toISOString(),
+            [FIELD_MAPPING.boardData]: encoded
+          };
+          const size = new TextEncoder().encode(JSON.stringify(updateData)).length;
+          if (size > budget) {
+            console.warn(`[SaveQueue] Board for record ${operation.recordId} is too large for a keepalive request. Leaving it for replay.`);
+            return;
+          }
+          budget -= size;
+          this.client.update(TASKBOARD_OBJECT, operation.recordId, updateData, { keepalive: true, retry: { maxAttempts: 1 } })
+            .then(() => this.forgetOperation(operation))
+            .catch(error => console.warn(`[SaveQueue] Keepalive save for record ${operation.recordId} failed:`, error));
+          sent++;
+        } catch (error) {
+          console.error(`[SaveQueue] Could not send keepalive save for record ${operation.recordId}:`, error);
+        }
+      });
+      return sent;
+    }
+
+    // Re-queues stored operations for this user that are not already in the queue. Returns the restored operations.
+    // onSettled(record, result, error) is called as each one completes or fails.
+    async restorePendingOperations(userId, onSettled = null) {
+      if (!this.pendingStore || !userId) return [];
+      const records = await this.pendingStore.getAll();
+      const queuedIds = new Set(this.queue.map(op => op.persistId).filter(id => id !== null && id !== undefined));
+      const toRestore = records.filter(record => record.userId === userId && !queuedIds.has(record.id) && !this.heldOperationIds.has(record.id));
+      if (toRestore.length === 0) return [];
+
+      console.log(`[SaveQueue] Restoring ${toRestore.length} pending save(s) from IndexedDB.`);
+      // Failed operations that were kept for replay are retried by the restore itself
+      const restoredIds = new Set(toRestore.map(record => record.id));
+      this.failedOperations = this.failedOperations.filter(failed => !restoredIds.has(failed.persistId));
+      toRestore.forEach(record => {
+        this.addToQueue({
+          type: record.type,
+          data: record.data,
+          recordId: record.recordId,
+          preserveFields: record.preserveFields,
+          expectedLastSaved: record.expectedLastSaved,
+          confirmEmpty: record.confirmEmpty,
+          baseSnapshot: record.baseSnapshot,
+          timestamp: record.timestamp,
+          persistId: record.id,
+          restored: true
+        }).then(result => {
+          console.log(`[SaveQueue] Restored save for record ${record.recordId} completed.`);
+          if (onSettled) onSettled(record, result, null);
+        }, error => {
+          console.error(`[SaveQueue] Restored save for record ${record.recordId} failed:`, error);
+          if (onSettled) onSettled(record, null, error);
+        });
+      });
+      this.emit('restored');
+      return toRestore;
+    }
+
     // Processes the next operation in the queue if not already saving
     async processQueue() {
       if (this.isSaving || this.queue.length === 0) {
@@ -255,21 +1971,138 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
       this.isSaving = true;
       const operation = this.queue[0];
       console.log(`[SaveQueue] Processing operation: ${operation.type} for record ${operation.recordId}`);
+      this.emit('saving', operation);
 
       try {
-        const updateData = await this.prepareSaveData(operation);
+        // Board saves that carry the lastSaved value the app loaded are checked against the record first
+        let existingRecord = null;
+        if (isBoardOperation(operation) && operation.expectedLastSaved !== undefined && operation.expectedLastSaved !== null) {
+          existingRecord = await this.getExistingData(operation.recordId);
+          await this.checkForConflict(operation, existingRecord);
+        }
+        // An empty board only replaces one with content when the app confirmed it, whatever the host has cached
+        if (isBoardOperation(operation) && isBoardEmpty(operation.data) && !operation.confirmEmpty && !operation.recovery) {
+          existingRecord = existingRecord || await this.getExistingData(operation.recordId);
+          if (!isBoardEmpty(await readBoardField(existingRecord))) {
+            const error = new Error('This save would replace a board that has content with an empty board. Resend with confirmEmpty: true to proceed.');
+            error.code = 'EMPTY_BOARD_NEEDS_CONFIRM';
+            throw error;
+          }
+        }
+        const updateData = await this.prepareSaveData(operation, existingRecord);
         debugLog("[SaveQueue] Prepared update data", updateData);
         const response = await this.performSave(updateData, operation.recordId);
         debugLog("[SaveQueue] API Save successful", response);
-        this.handleSaveSuccess(operation);
+        const savedLastSaved = (response && (response[`${FIELD_MAPPING.lastSaved}_raw`] || response[FIELD_MAPPING.lastSaved])) || updateData[FIELD_MAPPING.lastSaved];
+        this.handleSaveSuccess(operation, savedLastSaved);
       } catch (error) {
         console.error(`[SaveQueue] Error during processing for ${operation.type} (record ${operation.recordId}):`, error);
         this.handleSaveError(operation, error);
       }
     }
 
-    // Prepares the data to save
-    async prepareSaveData(operation) {
+    // Throws a SAVE_CONFLICT error if the record was saved elsewhere since the app loaded it
+    async checkForConflict(operation, existingRecord) {
+      const expected = normalizeTimestamp(operation.expectedLastSaved);
+      const current = normalizeTimestamp(existingRecord && existingRecord[FIELD_MAPPING.lastSaved]);
+      if (expected === null || current === null || expected === current) return;
+
+      // A background write only ever applies to the exact version it was made from
+      if (operation.background) {
+        const error = new Error(`Record ${operation.recordId} changed since it was loaded; background write skipped`);
+        error.code = 'SAVE_CONFLICT';
+        throw error;
+      }
+
+      // A save the app made earlier in this session may have moved lastSaved on before the app heard about it.
+      // Replayed edits predate this session's saves, so they never count as written by it.
+      const session = this.writtenVersions.get(operation.recordId);
+      if (!operation.restored && session && session.latest === current && session.bases.has(expected)) {
+        console.log(`[SaveQueue] Record ${operation.recordId} was last written by this session. No conflict.`);
+        return;
+      }
+
+      console.warn(`[SaveQueue] Record ${operation.recordId} changed since it was loaded: app loaded ${operation.expectedLastSaved}, record now has`, existingRecord[FIELD_MAPPING.lastSaved]);
+      const remoteBoard = migrateBoard((await readBoardField(existingRecord)) || {}).board;
+
+      // The record may already hold this board, e.g. when it was sent with a keepalive request as the page unloaded
+      if (isSameValue(remoteBoard, stampBoardSchemaVersion(this.ensureSerializable(operation.data || {})))) {
+        console.log(`[SaveQueue] Record ${operation.recordId} already contains this board. No conflict.`);
+        return;
+      }
+
+      // Try to merge task by task against the board the app was last given (for a replay, the one stored with it)
+      let conflicts = null;
+      let violations = [];
+      const base = operation.restored ? operation.baseSnapshot : this.baseSnapshots.get(operation.recordId);
+      if (base) {
+        const result = mergeBoards(base, operation.data, remoteBoard);
+        // A merge of two valid boards can still break cross-references, e.g. a task moved to a column removed elsewhere
+        violations = result.conflicts.length === 0 ? validateBoard(result.merged) : [];
+        if (result.conflicts.length === 0 && violations.length === 0) {
+          console.log(`[SaveQueue] Merged concurrent changes for record ${operation.recordId} without conflicts.`);
+          operation.data = result.merged;
+          operation.merged = true;
+          return;
+        }
+        if (violations.length > 0) console.warn(`[SaveQueue] Merged board for record ${operation.recordId} failed validation:`, violations);
+        conflicts = result.conflicts;
+        console.warn(`[SaveQueue] Merge for record ${operation.recordId} found ${conflicts.length} conflict(s):`, conflicts.map(conflict => conflict.id));
+      }
+
+      const error = new Error(`Save conflict for record ${operation.recordId}: the board was changed elsewhere since it was loaded`);
+      error.code = 'SAVE_CONFLICT';
+      error.conflict = {
+        local: { studyPlan: operation.data, lastSaved: operation.expectedLastSaved },
+        remote: { studyPlan: remoteBoard, lastSaved: existingRecord[FIELD_MAPPING.lastSaved] },
+        conflicts: conflicts
+      };
+      if (violations.length > 0) error.conflict.violations = violations;
+      throw error;
+    }
+
+    // Latest board the app holds for a record: its newest queued payload, else the last delivered/saved board
+    getLatestBoard(recordId) {
+      for (let i = this.queue.length - 1; i >= 0; i--) {
+        const queued = this.queue[i];
+        if (queued.recordId === recordId && isBoardOperation(queued) && this.isAppOperation(queued)) {
+          return JSON.parse(JSON.stringify(this.ensureSerializable(queued.data || {})));
+        }
+      }
+      return this.baseSnapshots.has(recordId) ? JSON.parse(JSON.stringify(this.baseSnapshots.get(recordId))) : null;
+    }
+
+    // Stores the board the app was last given for a record and the lastSaved it was read or written with;
+    // it is the base for merging concurrent edits
+    setBaseSnapshot(recordId, board, lastSaved) {
+      if (!recordId) return;
+      this.baseSnapshots.set(recordId, JSON.parse(JSON.stringify(this.ensureSerializable(board || {}))));
+      if (lastSaved !== undefined && lastSaved !== null) this.baseVersions.set(recordId, lastSaved);
+    }
+
+    // True if a save was made against the lastSaved this session last loaded or wrote for its record
+    isKnownCurrentVersion(operation) {
+      const expected = normalizeTimestamp(operation.expectedLastSaved);
+      if (expected === null) return false;
+      const session = this.writtenVersions.get(operation.recordId);
+      if (session) return session.latest === expected || session.bases.has(expected);
+      return expected === normalizeTimestamp(this.baseVersions.get(operation.recordId));
+    }
+
+    // Remembers which lastSaved values this session has moved a record on from, so its own saves never conflict
+    recordWrittenVersion(operation, lastSaved) {
+      const written = normalizeTimestamp(lastSaved);
+      if (written === null) return;
+      const session = this.writtenVersions.get(operation.recordId) || { bases: new Set(), latest: null };
+      const expected = normalizeTimestamp(operation.expectedLastSaved);
+      if (expected !== null) session.bases.add(expected);
+      if (session.latest !== null) session.bases.add(session.latest);
+      session.latest = written;
+      this.writtenVersions.set(operation.recordId, session);
+    }
+
+    // Prepares the data to save. existingRecord is passed when the caller already fetched the record.
+    async prepareSaveData(operation, existingRecord = null) {
       const { type, data, recordId, preserveFields } = operation;
       console.log(`[SaveQueue] Preparing save data for type: ${type}, record: ${recordId}, preserveFields: ${preserveFields}`);
 
@@ -281,7 +2114,9 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
       try {
         // Fetch existing data ONLY if preserving fields
         let existingData = null;
-        if (preserveFields) {
+        if (preserveFields && existingRecord) {
+          existingData = existingRecord;
+        } else if (preserveFields) {
           console.log(`[SaveQueue] Preserving fields for ${type}, fetching existing data...`);
           try {
             existingData = await this.getExistingData(recordId);
@@ -294,22 +2129,21 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
         }
 
         // Add data based on operation type
-        switch (type) {
-          case 'taskBoard':
-            updateData[FIELD_MAPPING.boardData] = JSON.stringify(
-              this.ensureSerializable(data || {})
-            );
-            console.log("[SaveQueue] Prepared taskBoard data for save.");
-            break;
-          default:
-            console.error(`[SaveQueue] Unknown save operation type: ${type}`);
-            throw new Error(`Unknown save operation type: ${type}`);
+        const definition = saveOperationTypes.get(type);
+        if (!definition) {
+          console.error(`[SaveQueue] Unknown save operation type: ${type}`);
+          const error = new Error(`Unknown save operation type: ${type}`);
+          error.code = 'UNKNOWN_OPERATION_TYPE';
+          throw error;
         }
+        // Payloads of non-board types may be false, 0 or ''; the board type supplies its own default
+        Object.assign(updateData, await definition.serialize(this.ensureSerializable(data), operation));
+        console.log(`[SaveQueue] Prepared ${type} data for save.`);
 
         // If preserving fields and we successfully fetched existing data, merge
         if (preserveFields && existingData) {
           console.log(`[SaveQueue] Merging prepared data with existing data for record ${recordId}`);
-          this.preserveExistingFields(updateData, existingData);
+          this.preserveExistingFields(updateData, existingData, definition.preserve);
           debugLog("[SaveQueue] Merged data after preservation", updateData);
         } else if (preserveFields && !existingData) {
           console.warn(`[SaveQueue] Cannot preserve fields for record ${recordId} because existing data could not be fetched.`);
@@ -325,40 +2159,22 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     // Fetches current record data from Knack
     async getExistingData(recordId) {
       console.log(`[SaveQueue] Fetching existing data for record ${recordId}`);
-      const apiCall = () => {
-        return new Promise((resolve, reject) => {
-          $.ajax({
-            url: `${KNACK_API_URL}/objects/${TASKBOARD_OBJECT}/records/${recordId}`,
-            type: 'GET',
-            headers: this.getKnackHeaders(),
-            data: { format: 'raw' },
-            success: function(response) {
-              console.log(`[SaveQueue] Successfully fetched existing data for record ${recordId}`);
-              resolve(response);
-            },
-            error: function(jqXHR, textStatus, errorThrown) {
-              console.error(`[SaveQueue] Error fetching existing data for record ${recordId}: Status ${jqXHR.status} - ${errorThrown}`, jqXHR.responseText);
-              const error = new Error(`Failed to fetch record ${recordId}: ${jqXHR.status} ${errorThrown}`);
-              error.status = jqXHR.status;
-              error.responseText = jqXHR.responseText;
-              reject(error);
-            }
-          });
-        });
-      };
-      return retryApiCall(apiCall);
+      try {
+        // Retried as part of the whole save by handleSaveError
+        const response = await this.client.get(TASKBOARD_OBJECT, recordId, { retry: { maxAttempts: 1 } });
+        console.log(`[SaveQueue] Successfully fetched existing data for record ${recordId}`);
+        return response;
+      } catch (error) {
+        console.error(`[SaveQueue] Error fetching existing data for record ${recordId}: Status ${error.status}`, error.responseText);
+        throw error;
+      }
     }
 
     // Merges updateData with existingData, preserving specific fields
-    preserveExistingFields(updateData, existingData) {
+    preserveExistingFields(updateData, existingData, fieldIds) {
       console.log(`[SaveQueue] Preserving fields for record. Fields in updateData: ${Object.keys(updateData).join(', ')}`);
-      // Define all fields managed by the app that could be preserved
-      const allAppFieldIds = [
-        FIELD_MAPPING.boardData,
-        FIELD_MAPPING.vespaCustomer
-      ];
-
-      allAppFieldIds.forEach(fieldId => {
+      // Fields the operation type declares as preservable
+      fieldIds.forEach(fieldId => {
         if (updateData[fieldId] === undefined && existingData[fieldId] !== undefined && existingData[fieldId] !== null) {
           console.log(`[SaveQueue] Preserving existing data for field ID: ${fieldId}`);
           updateData[fieldId] = existingData[fieldId];
@@ -377,32 +2193,19 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
         return { message: "Save skipped, only timestamp update." };
       }
 
-      const apiCall = () => {
-        return new Promise((resolve, reject) => {
-          $.ajax({
-            url: `${KNACK_API_URL}/objects/${TASKBOARD_OBJECT}/records/${recordId}`,
-            type: 'PUT',
-            headers: this.getKnackHeaders(),
-            data: JSON.stringify(updateData),
-            success: function(response) {
-              console.log(`[SaveQueue] API PUT successful for record ${recordId}`);
-              resolve(response);
-            },
-            error: function(jqXHR, textStatus, errorThrown) {
-              console.error(`[SaveQueue] API PUT failed for record ${recordId}: Status ${jqXHR.status} - ${errorThrown}`, jqXHR.responseText);
-              const error = new Error(`API Save failed for record ${recordId}: ${jqXHR.status} ${errorThrown}`);
-              error.status = jqXHR.status;
-              error.responseText = jqXHR.responseText;
-              reject(error);
-            }
-          });
-        });
-      };
-      return retryApiCall(apiCall);
+      try {
+        // Retried as part of the whole save by handleSaveError, so one failing save sends at most maxAttempts PUTs
+        const response = await this.client.update(TASKBOARD_OBJECT, recordId, updateData, { retry: { maxAttempts: 1 } });
+        console.log(`[SaveQueue] API PUT successful for record ${recordId}`);
+        return response;
+      } catch (error) {
+        console.error(`[SaveQueue] API PUT failed for record ${recordId}: Status ${error.status}`, error.responseText);
+        throw error;
+      }
     }
 
     // Handles successful save completion
-    handleSaveSuccess(operation) {
+    handleSaveSuccess(operation, lastSaved) {
       const completedOperation = this.queue.shift();
       if (completedOperation !== operation) {
         console.error("[SaveQueue] Mismatch between completed operation and head of queue!", operation, completedOperation);
@@ -410,8 +2213,30 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
         if(opIndex > -1) this.queue.splice(opIndex, 1);
       }
       this.retryAttempts.delete(operation);
+      this.forgetOperation(operation);
+      // Replayed and background saves are not boards the app holds, so they are no base for its next save
+      const appOperation = this.isAppOperation(operation);
+      if (appOperation) this.recordWrittenVersion(operation, lastSaved);
+      if (isBoardOperation(operation)) {
+        if (this.revisionHistory && this.revisionHistory.isEnabled()) {
+          this.revisionHistory.record(operation.recordId, operation.data, this.baseSnapshots.get(operation.recordId), lastSaved && (lastSaved.iso_timestamp || lastSaved));
+        }
+        if (appOperation) this.setBaseSnapshot(operation.recordId, operation.data, lastSaved);
+      }
+      if (operation.chunkWriteId !== undefined) {
+        chunkStore.removeStaleChunks(operation.recordId, operation.chunkWriteId);
+      }
+      // An older failed app save for the same record is superseded by this one, stored copy included
+      if (appOperation) {
+        const superseded = this.failedOperations.filter(failed => failed.recordId === operation.recordId && failed.type === operation.type && !failed.restored);
+        superseded.forEach(failed => {
+          if (this.pendingStore && failed.persistId !== null) this.pendingStore.remove(failed.persistId);
+        });
+        this.failedOperations = this.failedOperations.filter(failed => !superseded.includes(failed));
+      }
       console.log(`[SaveQueue] Operation ${operation.type} succeeded for record ${operation.recordId}. Queue length: ${this.queue.length}`);
-      operation.resolve(true);
+      this.emit('saved', operation);
+      operation.resolve({ success: true, lastSaved: lastSaved, merged: operation.merged || false, data: operation.merged ? operation.data : undefined });
       this.isSaving = false;
       this.processQueue();
     }
@@ -426,48 +2251,93 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
         return;
       }
 
+      if (error && error.code === 'SAVE_CONFLICT') {
+        console.warn(`[SaveQueue] Conflict for ${operation.type} (record ${operation.recordId}). Not retrying.`);
+        this.abortOperation(operation, error);
+        return;
+      }
+
+      const policy = getRetryPolicy();
+      const errorClass = classifyApiError(error);
       const attempts = (this.retryAttempts.get(operation) || 0) + 1;
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error(`[SaveQueue] Save error for ${operation.type} (record ${operation.recordId}, Attempt ${attempts}/${this.maxRetries}):`, errorMessage, error);
+      console.error(`[SaveQueue] Save error for ${operation.type} (record ${operation.recordId}, Attempt ${attempts}/${policy.maxAttempts}, ${errorClass}):`, errorMessage, error);
 
-      if (attempts < this.maxRetries) {
+      if (errorClass !== 'transient') {
+        console.warn(`[SaveQueue] ${errorClass} error for ${operation.type} (record ${operation.recordId}). Not retrying.`);
+        this.abortOperation(operation, error);
+      } else if (attempts < policy.maxAttempts) {
         this.retryAttempts.set(operation, attempts);
-        const delay = this.retryDelay * Math.pow(2, attempts - 1);
+        const delay = getRetryDelay(policy, attempts, error);
         console.log(`[SaveQueue] Retrying operation ${operation.type} (record ${operation.recordId}) in ${delay}ms...`);
-        this.isSaving = false;
+        // The queue stays blocked until the delay (e.g. Retry-After) has passed; saves arriving meanwhile wait behind it
+        this.emit('retrying', operation);
         setTimeout(() => {
           console.log(`[SaveQueue] Attempting retry for ${operation.type} (record ${operation.recordId}) after delay.`);
+          this.isSaving = false;
           this.processQueue();
         }, delay);
       } else {
         console.error(`[SaveQueue] Max retries reached for operation ${operation.type} (record ${operation.recordId}). Aborting.`);
-        const failedOperation = this.queue.shift();
-        if (failedOperation !== operation) {
-          console.error("[SaveQueue] Mismatch during failure handling!", operation, failedOperation);
-        }
-        this.retryAttempts.delete(operation);
-        operation.reject(error || new Error(`Save failed after ${this.maxRetries} retries`));
-        this.isSaving = false;
-        this.processQueue();
+        this.abortOperation(operation, error || new Error(`Save failed after ${policy.maxAttempts} attempts`));
       }
     }
 
-    // Helper to get standard Knack API headers
-    getKnackHeaders() {
-      if (typeof Knack === 'undefined' || typeof Knack.getUserToken !== 'function') {
-        console.error("[SaveQueue] Knack object or getUserToken function not available.");
-        throw new Error("Knack authentication context not available.");
-      }
-      const token = Knack.getUserToken();
-      if (!token) {
-        console.warn("[SaveQueue] Knack user token is null or undefined. API calls may fail.");
+    // Removes a failed operation from the head of the queue and rejects its callers
+    abortOperation(operation, error) {
+      const failedOperation = this.queue.shift();
+      if (failedOperation !== operation) {
+        console.error("[SaveQueue] Mismatch during failure handling!", operation, failedOperation);
       }
-      return {
-        'X-Knack-Application-Id': knackAppId,
-        'X-Knack-REST-API-Key': knackApiKey,
-        'Authorization': token || '',
-        'Content-Type': 'application/json'
+      this.retryAttempts.delete(operation);
+      // Conflicts and rejected boards need the app's decision, and a failed background write is redone on a later load
+      const failed = SAVE_ERRORS_NEEDING_APP.includes(error.code) || operation.background ? null : {
+        type: operation.type,
+        data: operation.data,
+        recordId: operation.recordId,
+        preserveFields: operation.preserveFields,
+        expectedLastSaved: operation.expectedLastSaved,
+        confirmEmpty: operation.confirmEmpty,
+        restored: operation.restored || false,
+        baseSnapshot: operation.baseSnapshot,
+        persistId: null
       };
+      if (failed) {
+        this.failedOperations = this.failedOperations.filter(existing => existing.recordId !== failed.recordId || existing.type !== failed.type || existing.restored !== failed.restored);
+        this.failedOperations.push(failed);
+      }
+      if (failed && typeof navigator !== 'undefined' && navigator.onLine === false) {
+        console.warn(`[SaveQueue] Browser is offline. Keeping operation for record ${operation.recordId} stored for replay when back online.`);
+        if (operation.persisted) operation.persisted.then(persistId => { failed.persistId = persistId; });
+      } else if (!failed && operation.restored) {
+        // The replayed edits exist nowhere else; keep them stored until the app has been sent them
+        console.warn(`[SaveQueue] Keeping conflicting replayed save for record ${operation.recordId} stored until the app has been told.`);
+        if (operation.persistId !== undefined) this.heldOperationIds.add(operation.persistId);
+      } else {
+        this.forgetOperation(operation);
+      }
+      operation.reject(error);
+      this.isSaving = false;
+      this.emit('failed', operation);
+      this.processQueue();
+    }
+
+    // Re-queues the operations that failed after their retries. Resolves once they have all settled.
+    retryFailed() {
+      const failed = this.failedOperations;
+      this.failedOperations = [];
+      console.log(`[SaveQueue] Retrying ${failed.length} failed operation(s).`);
+      return Promise.all(failed.map(operation => this.addToQueue({
+        type: operation.type,
+        data: operation.data,
+        recordId: operation.recordId,
+        preserveFields: operation.preserveFields,
+        expectedLastSaved: operation.expectedLastSaved,
+        confirmEmpty: operation.confirmEmpty,
+        restored: operation.restored || undefined,
+        baseSnapshot: operation.baseSnapshot,
+        persistId: operation.persistId !== null ? operation.persistId : undefined
+      }).catch(error => console.error(`[SaveQueue] Retry for record ${operation.recordId} failed:`, error.message || error))));
     }
 
     // Helper to ensure data is serializable (prevents circular references)
@@ -498,22 +2368,246 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
   }
 
   // Create singleton instance
-  const saveQueue = new SaveQueue();
+  const chunkStore = new ChunkStore(window.VESPA_APPS.taskboards.chunks, knackClient);
+  const revisionHistory = new RevisionHistory(window.VESPA_APPS.taskboards.revisions, knackClient);
+  if (revisionHistory.isEnabled()) HOST_CAPABILITIES.push('revisionHistory');
+  const saveQueue = new SaveQueue(new PendingSaveStore(), revisionHistory, knackClient);
+
+  // In view mode, report missing views for the features in use at startup rather than on the first failing save
+  if (knackClient instanceof KnackViewClient) {
+    const requiredActions = {
+      [TASKBOARD_OBJECT]: ['find', 'get', 'create', 'update'],
+      [USER_OBJECT]: ['get']
+    };
+    if (chunkStore.isEnabled()) requiredActions[chunkStore.config.object] = ['find', 'create', 'delete'];
+    if (revisionHistory.isEnabled()) requiredActions[revisionHistory.config.object] = ['find', 'get', 'create', 'delete'];
+    Object.keys(requiredActions).forEach(objectKey => {
+      const missing = knackClient.getMissingActions(objectKey, requiredActions[objectKey]);
+      if (missing.length > 0) {
+        console.error(`[KnackClient] View-based API mode: no view configured for ${missing.join(', ')} on ${objectKey}. Those requests will fail.`);
+      }
+    });
+  }
+
+  // --- Save Status Badge ---
+  // Small status line above the iframe, driven by SaveQueue events. Disable with VESPA_APPS.taskboards.showSaveStatus = false.
+  class SaveStatusBadge {
+    constructor(queue) {
+      this.queue = queue;
+      this.element = null;
+      this.lastSavedAt = null;
+      queue.subscribe(detail => {
+        if (detail.event === 'saved') this.lastSavedAt = new Date();
+        this.render();
+      });
+      window.addEventListener('online', () => this.render());
+      window.addEventListener('offline', () => this.render());
+    }
+
+    // Creates the badge as the first child of the app container
+    attach(container) {
+      this.element = document.createElement('div');
+      this.element.id = 'taskboard-save-status';
+      this.element.setAttribute('role', 'status');
+      this.element.style.fontSize = '12px';
+      this.element.style.padding = '4px 8px';
+      this.element.style.textAlign = 'right';
+      this.element.style.color = '#666';
+      this.element.addEventListener('click', () => {
+        if (this.queue.failedOperations.length > 0) this.queue.retryFailed();
+      });
+      container.insertBefore(this.element, container.firstChild);
+      this.render();
+    }
+
+    // Current state as { text, canRetry }, or null when there is nothing to show
+    getState() {
+      const pending = this.queue.queue.length;
+      const failed = this.queue.failedOperations.length;
+      const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+      if (offline && pending + failed > 0) return { text: `Offline \u2013 ${pending + failed} pending`, canRetry: false };
+      if (pending > 0) return { text: 'Saving\u2026', canRetry: false };
+      if (failed > 0) return { text: 'Save failed \u2013 retry', canRetry: true };
+      if (this.lastSavedAt) {
+        const time = this.lastSavedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return { text: `Saved at ${time}`, canRetry: false };
+      }
+      return null;
+    }
+
+    render() {
+      if (!this.element) return;
+      const state = this.getState();
+      this.element.style.display = state ? 'block' : 'none';
+      this.element.textContent = state ? state.text : '';
+      this.element.style.cursor = state && state.canRetry ? 'pointer' : 'default';
+      this.element.style.color = state && state.canRetry ? '#c0392b' : '#666';
+      this.element.title = state && state.canRetry ? 'Click to retry saving' : '';
+    }
+  }
+
+  const saveStatusBadge = window.VESPA_APPS.taskboards.showSaveStatus === false ? null : new SaveStatusBadge(saveQueue);
 
   // --- Knack Integration Initialization ---
   // Keep track of initialization state to prevent duplicate initializations
   let isInitialized = false;
   let appReadyReceived = false;
-  
+  // Origins the iframe bridge accepts messages from, and the origin replies are posted to
+  let allowedAppOrigins = [];
+  let appTargetOrigin = null;
+  // Protocol version and shared capabilities agreed with the app on APP_READY
+  let appProtocol = null;
+  // Why APP_READY was refused, if it was; every later message is answered with this PROTOCOL_ERROR
+  let protocolRefusal = null;
+  // Iframe window of the app once it has completed the APP_READY handshake (for unsolicited messages)
+  let connectedAppWindow = null;
+  // Whether the app last reported edits it has not sent yet (UNSAVED_CHANGES)
+  let appHasUnsavedChanges = false;
+  // Restored pending saves waiting to be reported because the app was not connected yet
+  let unreportedRestoredSaves = [];
+  // Outcomes of restored saves waiting to be reported, as { message, persistId }
+  let unreportedRestoredResults = [];
+
   $(document).on('knack-scene-render.scene_1188', function(event, scene) {
     console.log("VESPA TaskBoard: Scene rendered:", scene.key);
     if (!isInitialized) {
       isInitialized = true;
       initializeTaskBoard();
     } else {
-      console.log("VESPA TaskBoard: Already initialized, skipping duplicate initialization");
+      console.log("VESPA TaskBoard: Already initialized, skipping duplicate initialization");
+    }
+    restorePendingSaves('scene-load');
+  });
+
+  // Replay saves left in IndexedDB by an earlier session (or while offline) once connectivity returns
+  window.addEventListener('online', function() {
+    console.log("VESPA TaskBoard: Browser is back online.");
+    restorePendingSaves('online');
+  });
+
+  // --- Unload Handling ---
+  // Ask the app for a final snapshot. Apps with unsaved edits answer with a normal SAVE_DATA.
+  function requestFinalSnapshot(reason) {
+    if (!connectedAppWindow) return;
+    postToApp(connectedAppWindow, { type: 'REQUEST_FINAL_SNAPSHOT', reason: reason, timestamp: new Date().toISOString() });
+  }
+
+  // True while saves are queued or the connected app reports edits it has not sent
+  function hasUnsavedWork() {
+    const appOpen = connectedAppWindow && !connectedAppWindow.closed;
+    return saveQueue.queue.length > 0 || (appHasUnsavedChanges && !!appOpen);
+  }
+
+  // Hidden pages may be discarded without an unload event (mobile, tab switching), and the page can still run
+  // the resulting save here, so this is the most reliable point to collect the snapshot
+  document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'hidden') requestFinalSnapshot('hidden');
+  });
+
+  // Knack navigates between scenes without unloading the page, so the queue keeps running; only the iframe goes
+  window.addEventListener('hashchange', function() {
+    requestFinalSnapshot('navigation');
+  });
+
+  // Knack's own menu and links change the hash, which beforeunload does not see. Ask before following them while
+  // work is unsaved; the capture phase runs before Knack's handlers. Back/forward navigation cannot be stopped.
+  document.addEventListener('click', function(event) {
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) return;
+    const link = event.target && event.target.closest ? event.target.closest('a[href^="#"]') : null;
+    if (!link || link.getAttribute('href') === '#' || !hasUnsavedWork()) return;
+    requestFinalSnapshot('navigation');
+    if (window.confirm('Your task board has changes that are not saved yet. Leave this page anyway?')) return;
+    event.preventDefault();
+    event.stopPropagation();
+  }, true);
+
+  // Show the browser's "unsaved changes" prompt while saves are still unconfirmed
+  window.addEventListener('beforeunload', function(event) {
+    requestFinalSnapshot('beforeunload');
+    // The app's reply to the snapshot request arrives after this handler returns, so its own flag counts too
+    if (!hasUnsavedWork()) return;
+    console.warn(`VESPA TaskBoard: ${saveQueue.queue.length} save(s) not yet confirmed${appHasUnsavedChanges ? ' and the app has unsent edits' : ''}. Asking the user before leaving.`);
+    event.preventDefault();
+    event.returnValue = '';
+    return '';
+  });
+
+  // The page is going away: send whatever is still queued with keepalive requests
+  window.addEventListener('pagehide', function() {
+    if (saveQueue.queue.length === 0) return;
+    const sent = saveQueue.flushWithKeepalive();
+    console.log(`VESPA TaskBoard: Sent ${sent} pending save(s) with keepalive requests on page hide.`);
+  });
+
+  // Replay stored saves for the current user and tell the app about them
+  async function restorePendingSaves(reason) {
+    const userId = window.currentKnackUser?.id;
+    if (!userId) {
+      console.log(`VESPA TaskBoard: Skipping pending save restore (${reason}) - user not known yet.`);
+      return;
+    }
+    const restored = await saveQueue.restorePendingOperations(userId, (record, result, error) => {
+      unreportedRestoredResults.push({ message: buildRestoredSaveResult(record, result, error), persistId: record.id });
+      reportRestoredSaves();
+    });
+    if (restored.length === 0) return;
+
+    unreportedRestoredSaves = unreportedRestoredSaves.concat(restored.map(record => ({
+      recordId: record.recordId,
+      type: record.type,
+      queuedAt: record.timestamp,
+      reason: reason
+    })));
+    reportRestoredSaves();
+  }
+
+  // RESTORED_SAVE_RESULT for a replayed save. Successful saves carry the board now stored; failed ones carry the
+  // board that could not be saved, and conflicts the same local/remote/conflicts details as SAVE_CONFLICT.
+  function buildRestoredSaveResult(record, result, error) {
+    const boardKey = isBoardOperation(record) ? 'studyPlan' : 'payload';
+    const message = {
+      type: 'RESTORED_SAVE_RESULT',
+      recordId: record.recordId,
+      saveType: record.type,
+      queuedAt: record.timestamp,
+      success: !error,
+      timestamp: new Date().toISOString()
+    };
+    if (!error) {
+      message.lastSaved = result.lastSaved;
+      message.merged = result.merged || false;
+      message[boardKey] = result.merged ? result.data : record.data;
+    } else if (error.code === 'SAVE_CONFLICT') {
+      Object.assign(message, { code: error.code, error: error.message }, error.conflict);
+    } else {
+      message.code = error.code || null;
+      message.error = error.message || String(error);
+      message[boardKey] = record.data;
     }
-  });
+    return message;
+  }
+
+  // Send PENDING_SAVES_RESTORED, then the outcome of each restored save, once the app is connected
+  function reportRestoredSaves() {
+    if (!connectedAppWindow) return;
+    if (unreportedRestoredSaves.length > 0) {
+      const operations = unreportedRestoredSaves;
+      unreportedRestoredSaves = [];
+      console.log(`VESPA TaskBoard: Reporting ${operations.length} restored pending save(s) to the app.`);
+      postToApp(connectedAppWindow, {
+        type: 'PENDING_SAVES_RESTORED',
+        count: operations.length,
+        operations: operations,
+        timestamp: new Date().toISOString()
+      });
+    }
+    const results = unreportedRestoredResults;
+    unreportedRestoredResults = [];
+    results.forEach(({ message, persistId }) => {
+      postToApp(connectedAppWindow, message);
+      saveQueue.releaseStoredOperation(persistId);
+    });
+  }
 
   // Initialize the React app
   function initializeTaskBoard() {
@@ -561,7 +2655,7 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
 
     // Extract and store connection field IDs safely
     currentUser.emailId = extractValidRecordId(currentUser.id);
-    currentUser.schoolId = extractValidRecordId(currentUser.school || currentUser.field_122);
+    currentUser.schoolId = extractValidRecordId(currentUser.school || currentUser[SCHOOL_FIELD]);
     currentUser.teacherId = extractValidRecordId(currentUser.tutor);
     currentUser.roleId = extractValidRecordId(currentUser.role);
 
@@ -600,6 +2694,7 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     }
 
     container.innerHTML = '';
+    if (saveStatusBadge) saveStatusBadge.attach(container);
 
     // Loading indicator
     const loadingDiv = document.createElement('div');
@@ -619,18 +2714,29 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     iframe.src = config.appUrl;
     container.appendChild(iframe);
 
+    allowedAppOrigins = buildAllowedOrigins(config.appUrl);
+    appTargetOrigin = allowedAppOrigins[0] || null;
+    console.log("VESPA TaskBoard: Allowed app origins:", allowedAppOrigins);
+
     // Setup listener ONCE
     const messageHandler = function(event) {
       if (event.source !== iframe.contentWindow) {
         return;
       }
 
+      if (!allowedAppOrigins.includes(event.origin)) {
+        console.error(`[Knack Script] Dropping message from disallowed origin: ${event.origin}`, event.data && event.data.type);
+        return;
+      }
+      // Reply to the origin the app actually runs on (it may be an allowlisted alternative to appUrl)
+      appTargetOrigin = event.origin;
+
       if (!event.data || !event.data.type) {
         console.warn("[Knack Script] Ignoring message with invalid format:", event.data);
         return;
       }
 
-      const { type, data } = event.data;
+      const { type, data, requestId } = event.data;
       const iframeWindow = iframe.contentWindow;
 
       if (type !== 'PING') {
@@ -652,38 +2758,76 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
           return;
         }
 
+        const responder = createResponder(iframeWindow, type, requestId);
+        const protocol = negotiateProtocol(data);
+        if (!protocol.supported) {
+          console.error(`VESPA TaskBoard: Refusing app. ${protocol.error}`);
+          protocolRefusal = protocol.error;
+          responder.reply({
+            type: 'PROTOCOL_ERROR',
+            error: protocol.error,
+            hostProtocolVersion: PROTOCOL_VERSION,
+            supportedVersions: SUPPORTED_APP_PROTOCOL_VERSIONS
+          });
+          loadingDiv.innerHTML = '<p>This version of the VESPA TaskBoard app is not supported. Please refresh the page.</p>';
+          return;
+        }
+        appProtocol = protocol;
+        console.log(`VESPA TaskBoard: App protocol v${protocol.version}, shared capabilities: ${protocol.capabilities.join(', ') || 'none'}`);
+
         loadingDiv.innerHTML = '<p>Loading User Data...</p>';
 
-        loadTaskBoardUserData(window.currentKnackUser.id, function(userData) {
-          if (iframeWindow && iframe.contentWindow === iframeWindow) {
-            const initialData = {
-              type: 'KNACK_USER_INFO',
-              data: {
-                id: window.currentKnackUser.id,
-                email: window.currentKnackUser.email,
-                name: window.currentKnackUser.name || '',
-                token: userToken,
-                appId: appId,
-                userData: userData || {},
-                emailId: window.currentKnackUser.emailId,
-                schoolId: window.currentKnackUser.schoolId,
-                teacherId: window.currentKnackUser.teacherId,
-                roleId: window.currentKnackUser.roleId
-              }
-            };
-            debugLog("--> Sending KNACK_USER_INFO to React App", initialData.data);
-            iframeWindow.postMessage(initialData, '*');
-
-            // Show iframe after sending initial data
-            loadingDiv.style.display = 'none';
-            iframe.style.display = 'block';
-            console.log("VESPA TaskBoard initialized and visible.");
-          } else {
-            console.warn("[Knack Script] Iframe window no longer valid when sending initial data.");
+        checkFieldMapping().then((problems) => {
+          if (problems.length > 0) {
+            loadingDiv.innerHTML = '<p>The VESPA TaskBoard is not configured correctly and has been disabled to protect saved boards. Please contact support.</p>';
+            responder.reply({ type: 'CONFIG_ERROR', error: 'TaskBoard field mapping is invalid', problems: problems });
+            return;
           }
+
+          loadTaskBoardUserData(window.currentKnackUser.id, function(userData) {
+            if (iframeWindow && iframe.contentWindow === iframeWindow) {
+              const initialData = {
+                type: 'KNACK_USER_INFO',
+                data: {
+                  id: window.currentKnackUser.id,
+                  email: window.currentKnackUser.email,
+                  name: window.currentKnackUser.name || '',
+                  token: userToken,
+                  appId: appId,
+                  userData: userData || {},
+                  emailId: window.currentKnackUser.emailId,
+                  schoolId: window.currentKnackUser.schoolId,
+                  teacherId: window.currentKnackUser.teacherId,
+                  roleId: window.currentKnackUser.roleId
+                },
+                protocol: {
+                  version: PROTOCOL_VERSION,
+                  supportedVersions: SUPPORTED_APP_PROTOCOL_VERSIONS,
+                  capabilities: HOST_CAPABILITIES,
+                  appVersion: appProtocol.version,
+                  sharedCapabilities: appProtocol.capabilities,
+                  boardSchemaVersion: BOARD_SCHEMA_VERSION
+                }
+              };
+              debugLog("--> Sending KNACK_USER_INFO to React App", initialData.data);
+              responder.reply(initialData);
+              connectedAppWindow = iframeWindow;
+              appHasUnsavedChanges = false;
+              reportRestoredSaves();
+              reportCorruptedBoards();
+
+              // Show iframe after sending initial data
+              loadingDiv.style.display = 'none';
+              iframe.style.display = 'block';
+              console.log("VESPA TaskBoard initialized and visible.");
+            } else {
+              console.warn("[Knack Script] Iframe window no longer valid when sending initial data.");
+              responder.complete();
+            }
+          });
         });
       } else {
-        handleMessageRouter(type, data, iframeWindow);
+        handleMessageRouter(type, data, iframeWindow, requestId);
       }
     };
 
@@ -691,8 +2835,245 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
     console.log("VESPA TaskBoard initialization sequence complete. Waiting for APP_READY from iframe.");
   }
 
+  // --- Message Schemas ---
+  // Shape of a message's `data` payload. Each field rule has a type ('string', 'boolean', 'number',
+  // 'object' or 'array', or a list of these), an optional `required` flag and an optional `check` function returning an
+  // error string for values of the right type but wrong form.
+  const RECORD_ID_RULE = { type: 'string', check: value => isValidKnackId(value) ? null : 'must be a 24-character Knack record ID' };
+
+  const MESSAGE_SCHEMAS = {
+    SAVE_DATA: {
+      payloadRequired: true,
+      fields: {
+        recordId: { ...RECORD_ID_RULE, required: true },
+        studyPlan: { type: 'object', required: true },
+        preserveFields: { type: 'boolean' },
+        // lastSaved value the app loaded; when present the save is rejected if the record changed since
+        lastSaved: { type: ['string', 'number', 'object'] },
+        // Must be true to replace a board that has content with an empty one
+        confirmEmpty: { type: 'boolean' }
+      }
+    },
+    SAVE_PATCH: {
+      payloadRequired: true,
+      fields: {
+        recordId: { ...RECORD_ID_RULE, required: true },
+        patch: { type: 'array', required: true, check: value => value.every(op => op && typeof op.op === 'string' && typeof op.path === 'string') ? null : 'must be a list of { op, path } operations' },
+        // Hash of the board the patch was made against: 32-bit FNV-1a over the UTF-16 code units of the board's JSON
+        // with object keys sorted, as 8 lowercase hex characters. Successful SAVE_RESULT replies carry the next one.
+        baseHash: { type: 'string', required: true, check: value => /^[0-9a-f]{8}$/.test(value) ? null : 'must be 8 lowercase hex characters' },
+        preserveFields: { type: 'boolean' },
+        lastSaved: { type: ['string', 'number', 'object'] },
+        confirmEmpty: { type: 'boolean' }
+      }
+    },
+    SAVE_OPERATION: {
+      payloadRequired: true,
+      fields: {
+        recordId: { ...RECORD_ID_RULE, required: true },
+        // A registered non-board save type (see registerSaveOperationType)
+        operationType: { type: 'string', required: true },
+        payload: { type: ['object', 'array', 'string', 'number', 'boolean'], required: true },
+        preserveFields: { type: 'boolean' }
+      }
+    },
+    LIST_REVISIONS: {
+      payloadRequired: true,
+      fields: {
+        recordId: { ...RECORD_ID_RULE, required: true }
+      }
+    },
+    RESTORE_REVISION: {
+      payloadRequired: true,
+      fields: {
+        recordId: { ...RECORD_ID_RULE, required: true },
+        revisionId: { ...RECORD_ID_RULE, required: true },
+        lastSaved: { type: ['string', 'number', 'object'] }
+      }
+    },
+    RECOVER_BOARD: {
+      payloadRequired: true,
+      fields: {
+        recordId: { ...RECORD_ID_RULE, required: true },
+        action: { type: 'string', required: true, check: value => BOARD_RECOVERY_ACTIONS.includes(value) ? null : `must be one of ${BOARD_RECOVERY_ACTIONS.join(', ')}` },
+        // Required for restoreRevision
+        revisionId: RECORD_ID_RULE,
+        // Required for replace
+        studyPlan: { type: 'object' }
+      }
+    },
+    REQUEST_UPDATED_DATA: {
+      fields: {
+        recordId: RECORD_ID_RULE
+      }
+    },
+    REQUEST_TOKEN_REFRESH: { fields: {} },
+    REQUEST_RECORD_ID: { fields: {} },
+    AUTH_CONFIRMED: { fields: {} },
+    UNSAVED_CHANGES: {
+      payloadRequired: true,
+      fields: {
+        hasUnsavedChanges: { type: 'boolean', required: true }
+      }
+    }
+  };
+
+  // Get the schema type name of a value
+  function getSchemaType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  // Validate a message payload against a schema. Returns a list of { field, error } entries (empty when valid).
+  function validateMessagePayload(schema, data) {
+    if (!schema) return [];
+
+    if (data === undefined || data === null) {
+      return schema.payloadRequired ? [{ field: 'data', error: 'is required' }] : [];
+    }
+    if (getSchemaType(data) !== 'object') {
+      return [{ field: 'data', error: `must be an object, got ${getSchemaType(data)}` }];
+    }
+
+    const errors = [];
+    Object.keys(schema.fields || {}).forEach(field => {
+      const rule = schema.fields[field];
+      const value = data[field];
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push({ field: `data.${field}`, error: 'is required' });
+        return;
+      }
+      const actualType = getSchemaType(value);
+      const allowedTypes = Array.isArray(rule.type) ? rule.type : [rule.type];
+      if (!allowedTypes.includes(actualType)) {
+        errors.push({ field: `data.${field}`, error: `must be ${allowedTypes.join(' or ')}, got ${actualType}` });
+        return;
+      }
+      const checkError = rule.check ? rule.check(value) : null;
+      if (checkError) errors.push({ field: `data.${field}`, error: checkError });
+    });
+    return errors;
+  }
+
+  // --- Message Handler Registry ---
+  // Maps a message type to its handler definition:
+  //   handle(data, responder)  - required; may be async. Replies through responder.reply().
+  //   schema                   - optional payload schema (see MESSAGE_SCHEMAS), checked before handle() runs
+  //   replyTypes               - optional list of message types the handler replies with
+  //   expectsReply             - set to false for notifications; no REQUEST_TIMEOUT is armed for them
+  const messageHandlers = new Map();
+
+  // Register (or replace) the handler for a bridge message type
+  function registerMessageHandler(type, definition) {
+    if (typeof definition === 'function') {
+      definition = { handle: definition };
+    }
+    if (!type || typeof type !== 'string' || !definition || typeof definition.handle !== 'function') {
+      console.error("[Knack Script] Invalid message handler registration:", type, definition);
+      throw new Error("Invalid message handler: a type string and a handle function are required");
+    }
+    if (type === 'APP_READY') {
+      throw new Error("APP_READY is handled by the bridge handshake and cannot be registered");
+    }
+    if (messageHandlers.has(type)) {
+      console.warn(`[Knack Script] Replacing existing handler for message type: ${type}`);
+    }
+    messageHandlers.set(type, {
+      handle: definition.handle,
+      schema: definition.schema || null,
+      replyTypes: Array.isArray(definition.replyTypes) ? definition.replyTypes : null,
+      expectsReply: definition.expectsReply !== false
+    });
+    console.log(`[Knack Script] Registered handler for message type: ${type}`);
+  }
+
+  // Remove the handler for a bridge message type
+  function unregisterMessageHandler(type) {
+    return messageHandlers.delete(type);
+  }
+
+  // Built-in handlers
+  registerMessageHandler('SAVE_DATA', {
+    schema: MESSAGE_SCHEMAS.SAVE_DATA,
+    replyTypes: ['SAVE_RESULT', 'SAVE_CONFLICT'],
+    handle: handleSaveDataRequest
+  });
+  registerMessageHandler('SAVE_PATCH', {
+    schema: MESSAGE_SCHEMAS.SAVE_PATCH,
+    replyTypes: ['SAVE_RESULT', 'SAVE_CONFLICT'],
+    handle: handleSavePatchRequest
+  });
+  registerMessageHandler('SAVE_OPERATION', {
+    schema: MESSAGE_SCHEMAS.SAVE_OPERATION,
+    replyTypes: ['SAVE_RESULT'],
+    handle: handleSaveOperationRequest
+  });
+  registerMessageHandler('LIST_REVISIONS', {
+    schema: MESSAGE_SCHEMAS.LIST_REVISIONS,
+    replyTypes: ['REVISIONS_LIST', 'REVISION_ERROR'],
+    handle: handleListRevisionsRequest
+  });
+  registerMessageHandler('RESTORE_REVISION', {
+    schema: MESSAGE_SCHEMAS.RESTORE_REVISION,
+    replyTypes: ['REVISION_RESTORED', 'REVISION_ERROR', 'SAVE_CONFLICT'],
+    handle: handleRestoreRevisionRequest
+  });
+  registerMessageHandler('RECOVER_BOARD', {
+    schema: MESSAGE_SCHEMAS.RECOVER_BOARD,
+    replyTypes: ['BOARD_RECOVERED', 'BOARD_RECOVERY_ERROR'],
+    handle: handleRecoverBoardRequest
+  });
+  registerMessageHandler('REQUEST_UPDATED_DATA', {
+    schema: MESSAGE_SCHEMAS.REQUEST_UPDATED_DATA,
+    replyTypes: ['KNACK_DATA', 'DATA_REFRESH_ERROR'],
+    handle: handleDataUpdateRequest
+  });
+  registerMessageHandler('REQUEST_TOKEN_REFRESH', {
+    schema: MESSAGE_SCHEMAS.REQUEST_TOKEN_REFRESH,
+    replyTypes: ['AUTH_REFRESH_RESULT'],
+    handle: (data, responder) => handleTokenRefresh(responder)
+  });
+  registerMessageHandler('REQUEST_RECORD_ID', {
+    schema: MESSAGE_SCHEMAS.REQUEST_RECORD_ID,
+    replyTypes: ['RECORD_ID_RESPONSE', 'RECORD_ID_ERROR'],
+    handle: handleRecordIdRequest
+  });
+  registerMessageHandler('AUTH_CONFIRMED', {
+    schema: MESSAGE_SCHEMAS.AUTH_CONFIRMED,
+    expectsReply: false,
+    handle: handleAuthConfirmed
+  });
+  registerMessageHandler('UNSAVED_CHANGES', {
+    schema: MESSAGE_SCHEMAS.UNSAVED_CHANGES,
+    expectsReply: false,
+    handle: handleUnsavedChanges
+  });
+  // Keep-alive from the app; it needs no answer
+  registerMessageHandler('PING', {
+    expectsReply: false,
+    handle: () => {}
+  });
+
+  // Extra handlers supplied through configuration
+  const configuredHandlers = window.VESPA_APPS.taskboards.handlers;
+  if (configuredHandlers && typeof configuredHandlers === 'object') {
+    Object.keys(configuredHandlers).forEach(type => {
+      try {
+        registerMessageHandler(type, configuredHandlers[type]);
+      } catch (error) {
+        console.error(`[Knack Script] Could not register configured handler for ${type}:`, error);
+      }
+    });
+  }
+
+  // Runtime registration API
+  window.VESPA_APPS.taskboards.registerHandler = registerMessageHandler;
+  window.VESPA_APPS.taskboards.unregisterHandler = unregisterMessageHandler;
+  window.VESPA_APPS.taskboards.registerSaveType = registerSaveOperationType;
+
   // Central Message Router
-  function handleMessageRouter(type, data, iframeWindow) {
+  function handleMessageRouter(type, data, iframeWindow, requestId) {
     if (!type) {
       console.warn("[Knack Script] Received message without type.");
       return;
@@ -702,36 +3083,595 @@ const TASKBOARD_APP_CONFIG = window.VESPA_APPS.taskboards.appConfig || {
       return;
     }
 
-    console.log(`[Knack Script] Routing message type: ${type}`);
+    // Nothing is served (user data, saves, the token) until APP_READY has agreed a supported protocol version
+    if (!appProtocol) {
+      if (type === 'PING') return;
+      console.warn(`[Knack Script] Rejecting ${type}: no supported protocol has been agreed with the app.`);
+      createResponder(iframeWindow, type, requestId).reply({
+        type: 'PROTOCOL_ERROR',
+        messageType: type,
+        error: protocolRefusal || `Send APP_READY before ${type}`,
+        hostProtocolVersion: PROTOCOL_VERSION,
+        supportedVersions: SUPPORTED_APP_PROTOCOL_VERSIONS,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const handler = messageHandlers.get(type);
+    if (!handler) {
+      console.warn(`[Knack Script] Unhandled message type: ${type}`);
+      createResponder(iframeWindow, type, requestId).reply({
+        type: 'UNKNOWN_MESSAGE_TYPE',
+        messageType: type,
+        error: `No handler is registered for ${type} messages`,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
 
-    switch (type) {
-      case 'SAVE_DATA':
-        handleSaveDataRequest(data, iframeWindow);
-        break;
-      case 'REQUEST_UPDATED_DATA':
-        handleDataUpdateRequest(data, iframeWindow);
-        break;
-      case 'REQUEST_TOKEN_REFRESH':
-        handleTokenRefresh(iframeWindow);
-        break;
-      case 'REQUEST_RECORD_ID':
-        handleRecordIdRequest(data, iframeWindow);
-        break;
-      case 'AUTH_CONFIRMED':
-        console.log("[Knack Script] React App confirmed auth.");
-        const loadingIndicator = document.getElementById('taskboard-loading-indicator');
-        if (loadingIndicator) loadingIndicator.style.display = 'none';
-        const appIframe = document.getElementById('taskboard-app-iframe');
-        if (appIframe) appIframe.style.display = 'block';
-        break;
-      default:
-        console.warn(`[Knack Script] Unhandled message type: ${type}`);
+    if (type !== 'PING') console.log(`[Knack Script] Routing message type: ${type}${requestId !== undefined ? ` (requestId: ${requestId})` : ''}`);
+    const responder = createResponder(iframeWindow, type, requestId, handler);
+
+    const validationErrors = validateMessagePayload(handler.schema, data);
+    if (validationErrors.length > 0) {
+      console.error(`[Knack Script] Rejecting malformed ${type} message:`, validationErrors);
+      responder.reply({
+        type: 'INVALID_MESSAGE',
+        messageType: type,
+        error: `Invalid ${type} message: ${validationErrors.map(e => `${e.field} ${e.error}`).join('; ')}`,
+        errors: validationErrors,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const reportHandlerError = (error) => {
+      console.error(`[Knack Script] Handler for ${type} threw an error:`, error);
+      responder.reply({
+        type: 'HANDLER_ERROR',
+        messageType: type,
+        error: (error && error.message) || String(error),
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    try {
+      Promise.resolve(handler.handle(data, responder)).catch(reportHandlerError);
+    } catch (error) {
+      reportHandlerError(error);
     }
   }
 
+  // Handle 'UNSAVED_CHANGES' from React app: it has (or no longer has) edits it has not sent with SAVE_DATA yet
+  function handleUnsavedChanges(data) {
+    appHasUnsavedChanges = data.hasUnsavedChanges;
+  }
+
+  // Handle 'AUTH_CONFIRMED' notification from React app
+  function handleAuthConfirmed() {
+    console.log("[Knack Script] React App confirmed auth.");
+    const loadingIndicator = document.getElementById('taskboard-loading-indicator');
+    if (loadingIndicator) loadingIndicator.style.display = 'none';
+    const appIframe = document.getElementById('taskboard-app-iframe');
+    if (appIframe) appIframe.style.display = 'block';
+  }
+
   // Handle 'SAVE_DATA' request from React app
-  async function handleSaveDataRequest(data, iframeWindow) {
+  async function handleSaveDataRequest(data, responder) {
     console.log("[Knack Script] Handling SAVE_DATA request");
-    if (!data || !data.recordId) {
-      console.error("[Knack Script] SAVE_DATA request missing recordId.");
-      if (iframeWindow) iframeWindow.postMessage({ type: 'SAVE_RESULT', success: false, error:
+    debugLog("[Knack Script] Data received for SAVE_DATA:", data);
+    await queueBoardSave('SAVE_DATA', data, data.studyPlan, responder);
+  }
+
+  // Handle 'SAVE_PATCH' request from React app: apply RFC 6902 operations to the cached board, then save it
+  async function handleSavePatchRequest(data, responder) {
+    console.log(`[Knack Script] Handling SAVE_PATCH request with ${data.patch.length} operation(s)`);
+    const cachedBoard = saveQueue.getLatestBoard(data.recordId);
+    if (!cachedBoard) {
+      console.warn(`[Knack Script] No cached board for record ${data.recordId}. The app must send a full SAVE_DATA.`);
+      responder.reply({ type: 'SAVE_RESULT', success: false, code: 'PATCH_BASE_MISSING', error: 'No cached board to apply the patch to. Send the full board with SAVE_DATA.' });
+      return;
+    }
+    const cachedHash = boardHash(cachedBoard);
+    if (data.baseHash !== cachedHash) {
+      console.warn(`[Knack Script] SAVE_PATCH for record ${data.recordId} was made against another board (${data.baseHash}, host has ${cachedHash}).`);
+      responder.reply({ type: 'SAVE_RESULT', success: false, code: 'PATCH_BASE_MISMATCH', error: 'The patch was made against a different board than the host has. Send the full board with SAVE_DATA.', baseHash: cachedHash });
+      return;
+    }
+
+    let patchedBoard;
+    try {
+      patchedBoard = applyJsonPatch(cachedBoard, data.patch);
+    } catch (error) {
+      console.error(`[Knack Script] SAVE_PATCH for record ${data.recordId} could not be applied:`, error.message);
+      responder.reply({ type: 'SAVE_RESULT', success: false, code: error.code || 'INVALID_PATCH', error: error.message });
+      return;
+    }
+    if (!isPlainObject(patchedBoard)) {
+      responder.reply({ type: 'SAVE_RESULT', success: false, code: 'INVALID_PATCH', error: 'Patched board must be an object' });
+      return;
+    }
+
+    await queueBoardSave('SAVE_PATCH', data, patchedBoard, responder);
+  }
+
+  // Queue a board save for SAVE_DATA / SAVE_PATCH and reply with SAVE_RESULT or SAVE_CONFLICT
+  async function queueBoardSave(messageType, data, board, responder) {
+    const violations = validateBoard(board);
+    if (violations.length > 0) {
+      console.error(`[Knack Script] Rejecting ${messageType} for record ${data.recordId}: board failed validation`, violations);
+      responder.reply({
+        type: 'SAVE_RESULT',
+        success: false,
+        code: 'INVALID_BOARD',
+        error: `Board failed validation: ${violations.map(v => `${v.path} ${v.error}`).join('; ')}`,
+        violations: violations
+      });
+      return;
+    }
+
+    const currentBoard = saveQueue.getLatestBoard(data.recordId);
+    if (isBoardEmpty(board) && currentBoard && !isBoardEmpty(currentBoard) && data.confirmEmpty !== true) {
+      console.warn(`[Knack Script] Refusing to replace non-empty board for record ${data.recordId} with an empty one without confirmEmpty.`);
+      responder.reply({
+        type: 'SAVE_RESULT',
+        success: false,
+        code: 'EMPTY_BOARD_NEEDS_CONFIRM',
+        error: 'This save would replace a board that has content with an empty board. Resend with confirmEmpty: true to proceed.'
+      });
+      return;
+    }
+
+    try {
+      const result = await saveQueue.addToQueue({
+        type: 'taskBoard',
+        data: board,
+        recordId: data.recordId,
+        preserveFields: data.preserveFields || false,
+        expectedLastSaved: data.lastSaved,
+        confirmEmpty: data.confirmEmpty === true
+      });
+
+      console.log(`[Knack Script] ${messageType} for record ${data.recordId} completed successfully.`);
+      const reply = { type: 'SAVE_RESULT', success: true, lastSaved: result.lastSaved, boardHash: boardHash(result.merged ? result.data : board), timestamp: new Date().toISOString() };
+      if (result.merged) {
+        // Concurrent edits were merged in; the app should switch to the merged board
+        reply.merged = true;
+        reply.studyPlan = result.data;
+      }
+      responder.reply(reply);
+    } catch (error) {
+      if (error && error.code === 'SAVE_CONFLICT') {
+        console.warn(`[Knack Script] ${messageType} for record ${data.recordId} conflicts with a newer save.`);
+        responder.reply({ type: 'SAVE_CONFLICT', recordId: data.recordId, ...error.conflict, timestamp: new Date().toISOString() });
+        return;
+      }
+      if (error && error.code === 'BOARD_QUARANTINED') {
+        responder.reply({ type: 'SAVE_RESULT', success: false, code: error.code, error: error.message, recoveryOptions: getBoardRecoveryOptions() });
+        return;
+      }
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error(`[Knack Script] ${messageType} failed for record ${data.recordId}:`, errorMessage);
+      responder.reply({ type: 'SAVE_RESULT', success: false, code: (error && error.code) || undefined, error: errorMessage || 'Unknown save error', violations: error && error.violations });
+    }
+  }
+
+  // Handle 'SAVE_OPERATION' request from React app: save a payload of a registered non-board type.
+  // Boards must go through SAVE_DATA / SAVE_PATCH so they are validated and conflict-checked.
+  async function handleSaveOperationRequest(data, responder) {
+    console.log(`[Knack Script] Handling SAVE_OPERATION request (${data.operationType}) for record ${data.recordId}`);
+    const definition = saveOperationTypes.get(data.operationType);
+    if (!definition || definition.board) {
+      responder.reply({ type: 'SAVE_RESULT', success: false, code: 'UNKNOWN_OPERATION_TYPE', operationType: data.operationType, error: `Unsupported save operation type: ${data.operationType}` });
+      return;
+    }
+    try {
+      const result = await saveQueue.addToQueue({
+        type: data.operationType,
+        data: data.payload,
+        recordId: data.recordId,
+        preserveFields: data.preserveFields || false
+      });
+      responder.reply({ type: 'SAVE_RESULT', success: true, operationType: data.operationType, lastSaved: result.lastSaved, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error(`[Knack Script] SAVE_OPERATION (${data.operationType}) failed for record ${data.recordId}:`, error);
+      responder.reply({ type: 'SAVE_RESULT', success: false, code: error.code, operationType: data.operationType, error: error.message || 'Unknown save error' });
+    }
+  }
+
+  // Handle 'LIST_REVISIONS' request from React app
+  async function handleListRevisionsRequest(data, responder) {
+    console.log(`[Knack Script] Handling LIST_REVISIONS request for record ${data.recordId}`);
+    if (!revisionHistory.isEnabled()) {
+      responder.reply({ type: 'REVISION_ERROR', recordId: data.recordId, error: 'Revision history is not configured for this app' });
+      return;
+    }
+    try {
+      const revisions = await revisionHistory.list(data.recordId);
+      responder.reply({ type: 'REVISIONS_LIST', recordId: data.recordId, revisions: revisions, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error(`[Knack Script] Failed to list revisions for record ${data.recordId}:`, error);
+      responder.reply({ type: 'REVISION_ERROR', recordId: data.recordId, error: error.message || 'Failed to list revisions' });
+    }
+  }
+
+  // Handle 'RESTORE_REVISION' request from React app. The restore is saved like any other board, so it is itself undoable.
+  async function handleRestoreRevisionRequest(data, responder) {
+    console.log(`[Knack Script] Handling RESTORE_REVISION request: revision ${data.revisionId} for record ${data.recordId}`);
+    if (!revisionHistory.isEnabled()) {
+      responder.reply({ type: 'REVISION_ERROR', recordId: data.recordId, error: 'Revision history is not configured for this app' });
+      return;
+    }
+    try {
+      const revision = await revisionHistory.getBoard(data.recordId, data.revisionId);
+      const result = await saveQueue.addToQueue({
+        type: 'taskBoard',
+        data: revision.board,
+        recordId: data.recordId,
+        expectedLastSaved: data.lastSaved,
+        // Restoring a revision is an explicit choice, even of an empty board
+        confirmEmpty: true
+      });
+      console.log(`[Knack Script] Restored revision ${data.revisionId} for record ${data.recordId}`);
+      responder.reply({
+        type: 'REVISION_RESTORED',
+        recordId: data.recordId,
+        revisionId: data.revisionId,
+        revisionSavedAt: revision.savedAt,
+        studyPlan: result.merged ? result.data : revision.board,
+        lastSaved: result.lastSaved,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error && error.code === 'SAVE_CONFLICT') {
+        responder.reply({ type: 'SAVE_CONFLICT', recordId: data.recordId, ...error.conflict, timestamp: new Date().toISOString() });
+        return;
+      }
+      console.error(`[Knack Script] Failed to restore revision ${data.revisionId} for record ${data.recordId}:`, error);
+      responder.reply({ type: 'REVISION_ERROR', recordId: data.recordId, revisionId: data.revisionId, code: error.code, error: error.message || 'Failed to restore revision', violations: error.violations });
+    }
+  }
+
+  // Handle 'RECOVER_BOARD' request from React app for a quarantined record:
+  //   reload          - read the record again (e.g. after a chunked write that was still in progress)
+  //   restoreRevision - save the board from revisionId over the record
+  //   replace         - save the board sent in studyPlan over the record
+  // The unreadable value is archived to revision history (when configured) before it is overwritten.
+  async function handleRecoverBoardRequest(data, responder) {
+    console.log(`[Knack Script] Handling RECOVER_BOARD request (${data.action}) for record ${data.recordId}`);
+    const entry = quarantinedBoards.get(data.recordId);
+    const replyError = (error, extra = {}) => responder.reply({
+      type: 'BOARD_RECOVERY_ERROR',
+      recordId: data.recordId,
+      action: data.action,
+      error: error,
+      ...extra,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!entry) {
+      replyError('Record is not quarantined');
+      return;
+    }
+    if (!getBoardRecoveryOptions().includes(data.action)) {
+      replyError(`Recovery action ${data.action} is not available`);
+      return;
+    }
+
+    try {
+      if (data.action === 'reload') {
+        const userData = await new Promise(resolve => loadTaskBoardUserData(window.currentKnackUser?.id, resolve));
+        if (!userData || userData.recordId !== data.recordId) {
+          replyError('Failed to reload the record');
+        } else if (userData.boardCorrupted) {
+          replyError('Board is still unreadable', { recoveryOptions: getBoardRecoveryOptions() });
+        } else {
+          responder.reply({
+            type: 'BOARD_RECOVERED',
+            recordId: data.recordId,
+            action: data.action,
+            studyPlan: userData.taskboard,
+            lastSaved: userData.lastSaved,
+            timestamp: new Date().toISOString()
+          });
+        }
+        return;
+      }
+
+      let board;
+      if (data.action === 'restoreRevision') {
+        if (!data.revisionId) {
+          replyError('revisionId is required for restoreRevision');
+          return;
+        }
+        board = (await revisionHistory.getBoard(data.recordId, data.revisionId)).board;
+      } else {
+        const violations = data.studyPlan ? validateBoard(data.studyPlan) : [{ path: 'studyPlan', error: 'is required for replace' }];
+        if (violations.length > 0) {
+          replyError('Replacement board failed validation', { violations: violations });
+          return;
+        }
+        board = data.studyPlan;
+      }
+
+      if (revisionHistory.isEnabled()) {
+        await revisionHistory.archiveRaw(data.recordId, entry.rawValue);
+      }
+      const result = await saveQueue.addToQueue({
+        type: 'taskBoard',
+        data: board,
+        recordId: data.recordId,
+        recovery: true
+      });
+      quarantinedBoards.delete(data.recordId);
+      console.log(`[Knack Script] Recovered board for record ${data.recordId} (${data.action})`);
+      responder.reply({
+        type: 'BOARD_RECOVERED',
+        recordId: data.recordId,
+        action: data.action,
+        studyPlan: board,
+        lastSaved: result.lastSaved,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`[Knack Script] Failed to recover board for record ${data.recordId}:`, error);
+      replyError(error.message || 'Failed to recover board', { code: error.code, violations: error.violations });
+    }
+  }
+
+  // Handle request for updated data from React app
+  async function handleDataUpdateRequest(messageData, responder) {
+    console.log("[Knack Script] Handling REQUEST_UPDATED_DATA request", messageData);
+    const userId = window.currentKnackUser?.id;
+    // Payload shape is checked against MESSAGE_SCHEMAS.REQUEST_UPDATED_DATA by the router
+    const recordId = (messageData && messageData.recordId) || null;
+    console.log("[Knack Script] Requested recordId:", recordId);
+
+    if (!userId) {
+      console.error("[Knack Script] Cannot refresh data - user ID not found.");
+      responder.reply({ type: 'DATA_REFRESH_ERROR', error: 'User ID not found' });
+      return;
+    }
+    
+    // Check for record ID
+    if (!recordId) {
+      // If we don't have a recordId, see if we have the userId and try to look up the record
+      console.warn("[Knack Script] No recordId provided, attempting to find by userId:", userId);
+      
+      loadTaskBoardUserData(userId, function(userData) {
+        if (userData && userData.recordId) {
+          console.log(`[Knack Script] Found record ID by userId: ${userData.recordId}`);
+          responder.reply({
+            type: 'KNACK_DATA',
+            studyPlan: userData.taskboard || {},
+            recordId: userData.recordId,
+            lastSaved: userData.lastSaved,
+            timestamp: new Date().toISOString()
+          });
+        } else {
+          console.error("[Knack Script] Cannot refresh data - missing record ID and could not find by userId");
+          responder.reply({ type: 'DATA_REFRESH_ERROR', error: 'Missing record ID in request and could not find by userId' });
+        }
+      });
+      return;
+    }
+
+    console.log("[Knack Script] Proceeding with data request for record ID:", recordId);
+
+    loadTaskBoardUserData(userId, function(userData) {
+      if (userData) {
+        if (userData.recordId === recordId) {
+          console.log("[Knack Script] Sending refreshed data to React app (on request)");
+          responder.reply({
+            type: 'KNACK_DATA',
+            studyPlan: userData.taskboard || {},
+            recordId: userData.recordId,
+            lastSaved: userData.lastSaved,
+            timestamp: new Date().toISOString()
+          });
+        } else {
+          console.warn(`[Knack Script] Loaded data record ID (${userData.recordId}) does not match requested record ID (${recordId}). Sending loaded data anyway.`);
+          responder.reply({
+            type: 'KNACK_DATA',
+            studyPlan: userData.taskboard || {},
+            recordId: userData.recordId,
+            lastSaved: userData.lastSaved,
+            timestamp: new Date().toISOString()
+          });
+        }
+      } else {
+        console.error("[Knack Script] Error loading updated data (on request)");
+        responder.reply({ type: 'DATA_REFRESH_ERROR', error: 'Failed to load data' });
+      }
+    });
+  }
+
+  // Handle record ID request
+  async function handleRecordIdRequest(data, responder) {
+    console.log("[Knack Script] Handling REQUEST_RECORD_ID request");
+    const userId = window.currentKnackUser?.id;
+    if (!userId) {
+      console.error("[Knack Script] Cannot get record ID - user ID not found.");
+      responder.reply({ type: 'RECORD_ID_ERROR', error: 'User ID not found' });
+      return;
+    }
+
+    loadTaskBoardUserData(userId, function(userData) {
+      if (userData && userData.recordId) {
+        console.log(`[Knack Script] Found record ID: ${userData.recordId}`);
+        responder.reply({
+          type: 'RECORD_ID_RESPONSE',
+          recordId: userData.recordId,
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        console.error(`[Knack Script] Could not find record ID for user ${userId}`);
+        responder.reply({
+          type: 'RECORD_ID_ERROR',
+          error: 'Record ID not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  // Get complete user data from Knack
+  function getCompleteUserData(userId, callback) {
+    console.log("[Knack Script] Getting complete user data for:", userId);
+    knackClient.get(USER_OBJECT, userId)
+      .then(response => {
+        console.log("[Knack Script] Complete user data received.");
+        debugLog("[Knack Script] Raw Complete User Data:", response);
+        callback(response);
+      })
+      .catch(error => {
+        console.error("[Knack Script] Error retrieving complete user data:", error);
+        callback(null);
+      });
+  }
+
+  // Load user's taskboard data
+  function loadTaskBoardUserData(userId, callback) {
+    console.log(`[Knack Script] Loading taskboard data for user ID: ${userId}`);
+    if (fieldMappingProblems.length > 0) {
+      console.error("[Knack Script] Not loading taskboard data: FIELD_MAPPING is invalid.", fieldMappingProblems);
+      callback(null);
+      return;
+    }
+    knackClient.find(TASKBOARD_OBJECT, {
+      match: 'and',
+      rules: [{ field: FIELD_MAPPING.userId, operator: 'is', value: userId }]
+    })
+      .then((records) => {
+        debugLog("[Knack Script] Taskboard data search response:", records);
+        if (records.length > 0) {
+          const record = records[0];
+          console.log(`[Knack Script] Found existing taskboard record: ${record.id}`);
+
+          // Assemble userData from record fields safely
+          let userData = { recordId: record.id };
+          return readBoardField(record).then((board) => {
+            quarantinedBoards.delete(record.id);
+            try {
+              const parseField = (fieldName) => parseRecordField(record, fieldName);
+
+              const migration = migrateBoard(board || {});
+              userData.taskboard = migration.board;
+              userData.lastSaved = record[FIELD_MAPPING.lastSaved];
+              userData.vespaCustomer = parseField(FIELD_MAPPING.vespaCustomer) || [];
+              saveQueue.setBaseSnapshot(record.id, userData.taskboard, userData.lastSaved);
+              // A migration that only stamped schemaVersion is left for the app's next save to write
+              const contentMigrated = !isSameValue({ ...migration.board, schemaVersion: undefined }, { ...(board || {}), schemaVersion: undefined });
+              if (migration.migrated && contentMigrated) {
+                scheduleMigrationWriteBack(record.id, userData.taskboard, userData.lastSaved);
+              }
+
+              debugLog("[Knack Script] ASSEMBLED USER DATA from loaded record", userData);
+              callback(userData);
+            } catch (e) {
+              console.error("[Knack Script] Error parsing loaded user data fields:", e);
+              callback(userData);
+            }
+          }, (error) => {
+            if (error.code !== 'BOARD_CORRUPTED' && error.code !== 'CHUNK_INTEGRITY') throw error;
+            quarantineBoard(record, error);
+            userData.taskboard = {};
+            userData.lastSaved = record[FIELD_MAPPING.lastSaved];
+            userData.boardCorrupted = true;
+            callback(userData);
+            reportCorruptedBoards();
+          });
+        } else {
+          // No existing data, create a new record
+          console.log(`[Knack Script] No existing taskboard record found for user ${userId}, creating new one...`);
+          createTaskBoardUserRecord(userId, function(success, newRecordId) {
+            if (success && newRecordId) {
+              console.log(`[Knack Script] New record created with ID: ${newRecordId}`);
+              const emptyBoard = stampBoardSchemaVersion({});
+              saveQueue.setBaseSnapshot(newRecordId, emptyBoard);
+              callback({
+                recordId: newRecordId,
+                taskboard: emptyBoard
+              });
+            } else {
+              console.error(`[Knack Script] Failed to create new taskboard record for user ${userId}.`);
+              callback(null);
+            }
+          });
+        }
+      })
+      .catch((error) => {
+        console.error("[Knack Script] Error loading taskboard user data after retries:", error);
+        callback(null);
+      });
+  }
+
+  // Save a migrated board back to Knack after a delay, unless the app has saved the record in the meantime
+  function scheduleMigrationWriteBack(recordId, board, lastSaved) {
+    // Without a lastSaved the write-back could not tell whether the record changed, so it is left to the app's next save
+    if (lastSaved === undefined || lastSaved === null) return;
+    setTimeout(() => {
+      const hasQueuedSave = saveQueue.queue.some(operation => operation.recordId === recordId);
+      const savedSinceLoad = saveQueue.writtenVersions.has(recordId) || !isSameValue(saveQueue.baseSnapshots.get(recordId), board);
+      if (hasQueuedSave || savedSinceLoad) {
+        console.log(`[Knack Script] Skipping migration write-back for record ${recordId}; a newer save is queued or was made.`);
+        return;
+      }
+      console.log(`[Knack Script] Writing migrated board back for record ${recordId}`);
+      saveQueue.addToQueue({
+        type: 'taskBoard',
+        data: board,
+        recordId: recordId,
+        expectedLastSaved: lastSaved,
+        background: true
+      })
+        .then(() => console.log(`[Knack Script] Migrated board written back for record ${recordId}`))
+        .catch(error => console.warn(`[Knack Script] Migration write-back for record ${recordId} did not complete:`, error.message || error));
+    }, MIGRATION_WRITE_BACK_DELAY_MS);
+  }
+
+  // Create a new taskboard user record
+  function createTaskBoardUserRecord(userId, callback) {
+    console.log("[Knack Script] Creating new taskboard user record for:", userId);
+    const user = window.currentKnackUser;
+    
+    if (!user) {
+      console.error("[Knack Script] Cannot create record: window.currentKnackUser is not defined.");
+      callback(false, null);
+      return;
+    }
+
+    // Basic data structure for a new record
+    const data = {
+      [FIELD_MAPPING.userId]: userId,
+      [FIELD_MAPPING.userEmail]: sanitizeField(user.email),
+      [FIELD_MAPPING.userName]: sanitizeField(user.name || ""),
+      [FIELD_MAPPING.lastSaved]: new Date().toISOString(),
+      [FIELD_MAPPING.boardData]: JSON.stringify(stampBoardSchemaVersion({}))
+    };
+
+    // Add vespa customer connection if it exists
+    if (window.currentKnackUser.schoolId) {
+      data[FIELD_MAPPING.vespaCustomer] = window.currentKnackUser.schoolId;
+    }
+    
+    // Add account connection if it exists
+    if (window.currentKnackUser.emailId) {
+      data[FIELD_MAPPING.account] = window.currentKnackUser.emailId;
+    }
+
+    debugLog("[Knack Script] CREATING NEW RECORD PAYLOAD", data);
+
+    knackClient.create(TASKBOARD_OBJECT, data)
+      .then(response => {
+        console.log("[Knack Script] Successfully created user record:", response);
+        callback(true, response.id);
+      })
+      .catch(error => {
+        console.error("[Knack Script] Error creating user record:", error);
+        callback(false, null);
+      });
+  }
+})();
+})();